@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isDateKey, listSnapshotDates, loadSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { REPORT_FORMATS, reportFile, writeReport } = require('./lib/report');
+
+// Writes the Markdown and HTML report of existing snapshots into <dataDir>/reports/, as
+// generate-data does after each run. Arguments are date keys or snapshot files; the default is
+// the newest snapshot.
+//   build-report --all                 every dated snapshot
+//   build-report --missing             dated snapshots without a report yet
+//   build-report --format markdown     one format only
+const USAGE = 'Usage: build-report [<date|file>...] [--all | --missing] [--format markdown|html]';
+
+function readSnapshot(ref, dataDir) {
+  if (isDateKey(ref)) {
+    const snapshot = loadSnapshot(ref, dataDir);
+    if (!snapshot) throw new Error(`No snapshot for ${ref} in ${dataDir}`);
+    return snapshot;
+  }
+  return JSON.parse(fs.readFileSync(ref, 'utf8'));
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false },
+      missing: { type: 'boolean', default: false },
+      format: { type: 'string' }
+    }
+  });
+  if ((values.all || values.missing) && positionals.length > 0) throw new Error(USAGE);
+  if (values.format && !REPORT_FORMATS[values.format]) throw new Error(USAGE);
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const { enabled, ...options } = config.reports;
+  if (values.format) options.formats = [values.format];
+
+  let refs = positionals;
+  if (values.all || values.missing) {
+    refs = listSnapshotDates(dataDir);
+    if (values.missing) {
+      refs = refs.filter(date => options.formats.some(format => !fs.existsSync(path.join(dataDir, reportFile(date, format)))));
+    }
+  } else if (refs.length === 0) {
+    const newest = listSnapshotDates(dataDir).pop();
+    if (!newest) throw new Error(`No snapshots in ${dataDir}`);
+    refs = [newest];
+  }
+
+  for (const ref of refs) {
+    const snapshot = readSnapshot(ref, dataDir);
+    const files = writeReport(dataDir, snapshot, options);
+    console.log(`📝 ${snapshot.date}: ${files.join(', ')}`);
+  }
+  console.log(`✅ Wrote reports for ${refs.length} snapshot(s)`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,48 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { isDateKey } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { buildRollups, writeRollups } = require('./lib/rollups');
+
+// Writes rolling 7/30/90-day aggregates of the snapshot archive to <dataDir>/rollups/
+const USAGE = 'Usage: build-rollups [--to YYYY-MM-DD] [--windows 7,30,90] [--out dir]';
+
+function parseWindows(value) {
+  const windows = value.split(',').map(Number);
+  if (windows.some(w => !Number.isInteger(w) || w < 1)) {
+    throw new Error(`Invalid --windows "${value}". ${USAGE}`);
+  }
+  return windows;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      to: { type: 'string' },
+      windows: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+  if (values.to && !isDateKey(values.to)) throw new Error(`Invalid --to "${values.to}". ${USAGE}`);
+
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const windows = values.windows ? parseWindows(values.windows) : config.rollups.windows;
+  const outDir = path.resolve(values.out || path.join(dataDir, 'rollups'));
+
+  const rollups = buildRollups(dataDir, { windows, topCoins: config.rollups.topCoins, to: values.to });
+  const files = writeRollups(outDir, rollups);
+  rollups.forEach((rollup, i) => {
+    const missing = rollup.missingDates.length ? `, ${rollup.missingDates.length} missing` : '';
+    console.log(`📈 ${rollup.window}d rollup ${rollup.from} → ${rollup.to}: ${rollup.days} snapshot(s)${missing} → ${files[i]}`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(1);
+  }
+}
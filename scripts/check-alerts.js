@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isDateKey, listSnapshotDates, loadSnapshot, loadPreviousSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { loadAlertRules, evaluateAlerts } = require('./lib/alerts');
+const { notifyAll } = require('./lib/notifiers');
+
+// Checks the alert rules against an existing snapshot, as generate-data does after each run:
+//   check-alerts                     newest dated snapshot
+//   check-alerts 2025-10-02          that day (compared with the snapshot before it)
+//   check-alerts <file>              any snapshot file
+// Alerts are only printed unless --notify is given.
+const USAGE = 'Usage: check-alerts [<date|file>] [--rules <file>] [--notify] [--json]';
+
+function readSnapshot(ref, dataDir) {
+  if (ref == null) {
+    ref = listSnapshotDates(dataDir).pop();
+    if (!ref) throw new Error(`No snapshots in ${dataDir}`);
+  }
+  if (isDateKey(ref)) {
+    const snapshot = loadSnapshot(ref, dataDir);
+    if (!snapshot) throw new Error(`No snapshot for ${ref} in ${dataDir}`);
+    return snapshot;
+  }
+  return JSON.parse(fs.readFileSync(ref, 'utf8'));
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      rules: { type: 'string' },
+      notify: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  if (positionals.length > 1) throw new Error(USAGE);
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const rulesFile = values.rules || config.alerts.file;
+  const ruleSet = loadAlertRules(rulesFile);
+  if (!ruleSet) throw new Error(`Alert rules file not found: ${path.resolve(rulesFile)}`);
+
+  const current = readSnapshot(positionals[0], dataDir);
+  const previous = loadPreviousSnapshot(current.date, dataDir);
+  const alerts = evaluateAlerts(ruleSet.rules, current, previous);
+
+  if (values.json) {
+    console.log(JSON.stringify(alerts, null, 2));
+  } else {
+    console.log(`🔔 ${current.date}: ${alerts.length} alert(s) from ${ruleSet.rules.length} rule(s)${previous ? `, compared with ${previous.date}` : ', no previous snapshot'}`);
+    for (const alert of alerts) console.log(`   - [${alert.severity}] ${alert.message}`);
+  }
+
+  if (values.notify && alerts.length > 0) {
+    const results = await notifyAll(ruleSet.notifiers, { date: current.date, timestamp: current.timestamp, alerts }, { dataDir });
+    for (const { type, ok, error } of results) {
+      if (ok) console.log(`📣 Sent to ${type}`);
+      else console.error(`⚠️ Notifier ${type} failed: ${error}`);
+    }
+    if (results.some(r => !r.ok)) process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+// Compares two snapshot files, e.g. a replayed run against its recording. Run-time fields
+// (timestamps) are ignored; --schema compares only the shape (keys and value types).
+const DEFAULT_IGNORED_KEYS = ['timestamp', 'backfilledAt'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function compareValues(a, b, path, ignored, diffs) {
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (ta !== tb) {
+    diffs.push({ path, expected: ta, actual: tb });
+    return;
+  }
+  if (ta === 'array') {
+    if (a.length !== b.length) diffs.push({ path: `${path}.length`, expected: a.length, actual: b.length });
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      compareValues(a[i], b[i], `${path}[${i}]`, ignored, diffs);
+    }
+    return;
+  }
+  if (ta === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (ignored.has(key)) continue;
+      if (!(key in a)) diffs.push({ path: `${path}.${key}`, expected: undefined, actual: 'present' });
+      else if (!(key in b)) diffs.push({ path: `${path}.${key}`, expected: 'present', actual: undefined });
+      else compareValues(a[key], b[key], `${path}.${key}`, ignored, diffs);
+    }
+    return;
+  }
+  if (a !== b) diffs.push({ path, expected: a, actual: b });
+}
+
+// Shape of a value: type names for scalars, key -> shape for objects, merged element shape for arrays
+function shapeOf(value, ignored) {
+  const type = typeOf(value);
+  if (type === 'array') {
+    return { array: value.reduce((acc, item) => mergeShapes(acc, shapeOf(item, ignored)), null) };
+  }
+  if (type === 'object') {
+    const shape = {};
+    for (const key of Object.keys(value).sort()) {
+      if (!ignored.has(key)) shape[key] = shapeOf(value[key], ignored);
+    }
+    return { object: shape };
+  }
+  return type;
+}
+
+function shapeName(shape) {
+  if (typeof shape === 'string') return shape;
+  return shape.object ? 'object' : 'array';
+}
+
+// Scalars that differ across samples merge into a union such as "null|number"
+function mergeShapes(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  if (a.object && b.object) {
+    const merged = { ...a.object };
+    for (const [key, shape] of Object.entries(b.object)) {
+      merged[key] = key in merged ? mergeShapes(merged[key], shape) : shape;
+    }
+    return { object: merged };
+  }
+  if (a.array !== undefined && b.array !== undefined) return { array: mergeShapes(a.array, b.array) };
+  const names = new Set([...shapeName(a).split('|'), ...shapeName(b).split('|')]);
+  return [...names].sort().join('|');
+}
+
+function compareSnapshots(expected, actual, { schemaOnly = false, ignoreKeys = DEFAULT_IGNORED_KEYS } = {}) {
+  const ignored = new Set(ignoreKeys);
+  const diffs = [];
+  if (schemaOnly) {
+    compareValues(shapeOf(expected, ignored), shapeOf(actual, ignored), '$', new Set(), diffs);
+    // Drop the shape wrappers from paths: $.object.metadata.object.version -> $.metadata.version
+    return diffs.map(d => ({ ...d, path: d.path.replace(/\.object/g, '').replace(/\.array/g, '[]') }));
+  } else {
+    compareValues(expected, actual, '$', ignored, diffs);
+  }
+  return diffs;
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      schema: { type: 'boolean', default: false },
+      ignore: { type: 'string' }
+    }
+  });
+  if (positionals.length !== 2) {
+    throw new Error('Usage: compare-snapshots <expected.json> <actual.json> [--schema] [--ignore key1,key2]');
+  }
+  const [expected, actual] = positionals.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+  const ignoreKeys = values.ignore ? [...DEFAULT_IGNORED_KEYS, ...values.ignore.split(',')] : DEFAULT_IGNORED_KEYS;
+  const diffs = compareSnapshots(expected, actual, { schemaOnly: values.schema, ignoreKeys });
+
+  if (diffs.length === 0) {
+    console.log(`✅ ${values.schema ? 'Schemas' : 'Snapshots'} match (ignoring: ${ignoreKeys.join(', ')})`);
+    return 0;
+  }
+  console.log(`❌ ${diffs.length} difference(s):`);
+  for (const d of diffs.slice(0, 50)) {
+    console.log(`   - ${d.path}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`);
+  }
+  if (diffs.length > 50) console.log(`   ... and ${diffs.length - 50} more`);
+  return 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = { compareSnapshots, DEFAULT_IGNORED_KEYS };
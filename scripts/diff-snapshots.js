@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isDateKey, listSnapshotDates, loadSnapshot, loadPreviousSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { diffSnapshots } = require('./lib/snapshot-diff');
+
+// Day-over-day report between two snapshots. Arguments are date keys or file paths:
+//   diff-snapshots                     newest dated snapshot vs the one before it
+//   diff-snapshots 2025-10-02          that day vs the snapshot before it
+//   diff-snapshots <older> <newer>     any two snapshots
+const USAGE = 'Usage: diff-snapshots [<older>] [<newer>] [--json] [--min-rank-move N]';
+
+function readSnapshot(ref, dataDir) {
+  if (isDateKey(ref)) {
+    const snapshot = loadSnapshot(ref, dataDir);
+    if (!snapshot) throw new Error(`No snapshot for ${ref} in ${dataDir}`);
+    return snapshot;
+  }
+  return JSON.parse(fs.readFileSync(ref, 'utf8'));
+}
+
+function resolvePair(positionals, dataDir) {
+  if (positionals.length > 2) throw new Error(USAGE);
+  if (positionals.length === 2) return positionals.map(ref => readSnapshot(ref, dataDir));
+
+  const ref = positionals[0] ?? listSnapshotDates(dataDir).pop();
+  if (!ref) throw new Error(`No snapshots in ${dataDir}`);
+  const current = readSnapshot(ref, dataDir);
+  const previous = loadPreviousSnapshot(current.date, dataDir);
+  if (!previous) throw new Error(`No snapshot before ${current.date} in ${dataDir}`);
+  return [previous, current];
+}
+
+function symbols(coins) {
+  return coins.length > 0 ? coins.map(c => c.symbol || c.id).join(', ') : 'none';
+}
+
+function printReport(changes, currentDate) {
+  console.log(`🔁 Changes from ${changes.previousDate} to ${currentDate}`);
+
+  const { universe, rankMoves } = changes;
+  if (universe) {
+    console.log(`🏁 Ranking: ${universe.entered.length} entered, ${universe.left.length} left`);
+    for (const { id, rank } of universe.entered) console.log(`   + ${id} (#${rank})`);
+    for (const { id, previousRank } of universe.left) console.log(`   - ${id} (was #${previousRank})`);
+    for (const { id, previousRank, rank, change } of rankMoves) {
+      console.log(`   ${change > 0 ? '⬆️ ' : '⬇️ '} ${id}: #${previousRank} -> #${rank}`);
+    }
+  } else {
+    console.log('🏁 Ranking: not recorded in one of the snapshots');
+  }
+
+  for (const [list, { entered, left }] of Object.entries(changes.lists)) {
+    console.log(`📋 ${list}: entered ${symbols(entered)}; left ${symbols(left)}`);
+  }
+
+  console.log(`📈 New EMA signals: ${changes.newEmaSignals.length}`);
+  for (const s of changes.newEmaSignals) {
+    console.log(`   - ${s.symbol} ${s.pair} ${s.signal}${s.crossoverDate ? ` (${s.crossoverDate})` : ''}`);
+  }
+
+  const { leaders, rankChanges } = changes.narratives;
+  for (const [key, { previous, current, changed }] of Object.entries(leaders)) {
+    console.log(`🧭 Narrative leader (${key}): ${changed ? `${previous} -> ${current}` : `${current} (unchanged)`}`);
+  }
+  for (const { theme, previousRank, rank } of rankChanges) {
+    console.log(`   - ${theme}: ${previousRank == null ? 'new' : `#${previousRank}`} -> #${rank}`);
+  }
+
+  for (const [coin, { previous, current, change }] of Object.entries(changes.dominance)) {
+    console.log(`🥧 ${coin.toUpperCase()} dominance: ${previous}% -> ${current}% (${change >= 0 ? '+' : ''}${change} pts)`);
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      'min-rank-move': { type: 'string' }
+    }
+  });
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const [previous, current] = resolvePair(positionals, dataDir);
+
+  const options = { ...config.changes };
+  if (values['min-rank-move'] != null) {
+    if (!/^\d+$/.test(values['min-rank-move'])) throw new Error(USAGE);
+    options.minRankMove = Number(values['min-rank-move']);
+  }
+  const changes = diffSnapshots(previous, current, options);
+
+  if (values.json) {
+    console.log(JSON.stringify(changes, null, 2));
+  } else {
+    printReport(changes, current.date);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(1);
+  }
+}
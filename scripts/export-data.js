@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { listSnapshotDates, loadSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const {
+  TABLES,
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  checkManifest,
+  newManifest,
+  exportSnapshots
+} = require('./lib/archive-export');
+
+// Flattens the snapshot archive into CSV and Parquet tables. Dates already in the export's
+// manifest are skipped, so a daily run only appends the new day; --full rebuilds everything.
+const USAGE = 'Usage: export-data [--format csv,parquet] [--out dir] [--full]';
+const FORMATS = ['csv', 'parquet'];
+// Snapshots loaded per batch; the manifest is saved after each one
+const BATCH_SIZE = 31;
+
+function parseFormats(value) {
+  const formats = value.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = formats.filter(f => !FORMATS.includes(f));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid --format "${value}". ${USAGE}`);
+  }
+  return formats;
+}
+
+// Only the export's own files are removed
+function clearExport(outDir) {
+  for (const entry of ['csv', 'parquet', MANIFEST_FILE]) {
+    fs.rmSync(path.join(outDir, entry), { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string' },
+      out: { type: 'string' },
+      full: { type: 'boolean', default: false }
+    }
+  });
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const outDir = path.resolve(values.out || config.export.dir);
+  const formats = values.format ? parseFormats(values.format) : config.export.formats;
+
+  if (values.full) clearExport(outDir);
+  let manifest = loadManifest(outDir);
+  if (manifest) {
+    checkManifest(manifest, formats);
+  } else {
+    manifest = newManifest(formats);
+  }
+
+  const exported = new Set(manifest.dates);
+  const dates = listSnapshotDates(dataDir).filter(d => !exported.has(d));
+  if (dates.length === 0) {
+    console.log(`ℹ️  ${outDir} is up to date (${manifest.dates.length} dates)`);
+    return;
+  }
+
+  console.log(`📦 Exporting ${dates.length} date(s) to ${outDir} (${formats.join(', ')})`);
+  fs.mkdirSync(outDir, { recursive: true });
+  const totals = {};
+  for (let i = 0; i < dates.length; i += BATCH_SIZE) {
+    const batch = dates.slice(i, i + BATCH_SIZE);
+    const snapshots = batch.map(d => loadSnapshot(d, dataDir));
+    const counts = await exportSnapshots(outDir, snapshots, { formats });
+    for (const [table, count] of Object.entries(counts)) totals[table] = (totals[table] || 0) + count;
+
+    manifest.dates = [...manifest.dates, ...batch].sort();
+    saveManifest(outDir, manifest);
+    console.log(`   - ${batch[0]} → ${batch[batch.length - 1]}`);
+  }
+
+  for (const table of Object.keys(TABLES)) {
+    console.log(`✅ ${table}: ${totals[table]} row(s) added`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥', error.message);
+    process.exit(1);
+  });
+}
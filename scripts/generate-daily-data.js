@@ -1,6 +1,64 @@
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { snapshotFileName, shiftDateKey, loadPreviousSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const {
+  MARKET_TABLE_SCHEMA_PATH,
+  CORRELATION_MATRIX_SCHEMA_PATH,
+  validateSnapshot,
+  validateMarketTable,
+  validateCorrelationMatrix,
+  SnapshotValidationError
+} = require('./lib/snapshot-schema');
+const { marketTableFile, buildMarketTable, writeMarketTable } = require('./lib/market-table');
+const { PriceHistoryStore } = require('./lib/price-history');
+const indicators = require('./lib/indicators');
+const {
+  loadNarratives,
+  narrativeCoinIds,
+  findUnknownIds,
+  recordNarrativeChanges
+} = require('./lib/narratives');
+const { narrativeReturns, previousIndexLevels, applyNarrativeIndex } = require('./lib/narrative-index');
+const { diffSnapshots } = require('./lib/snapshot-diff');
+const {
+  BASE_CURRENCY,
+  normalizeCurrencies,
+  crossRate,
+  convertNarratives,
+  compactCoin
+} = require('./lib/currencies');
+const { screenCoins } = require('./lib/mover-filters');
+const { supplyFromHistory, buildStablecoinSection } = require('./lib/stablecoins');
+const {
+  byUtcDay,
+  toPoints,
+  total3FromGlobalChart,
+  total3FromArchive,
+  total3FromHistories,
+  datedReturns,
+  degenerateReason,
+  alignReturns
+} = require('./lib/total3');
+const { computeRiskMetrics, rankRiskMetrics } = require('./lib/risk-metrics');
+const {
+  correlationMatrixFile,
+  pearson,
+  correlationMatrix,
+  clusterMatrix,
+  leastCorrelatedPairs,
+  writeCorrelationMatrix
+} = require('./lib/correlation-matrix');
+const { REQUIRED_BENCHMARKS, benchmarkIds, benchmarkStats } = require('./lib/benchmarks');
+const { loadAlertRules, evaluateAlerts } = require('./lib/alerts');
+const { notifyAll } = require('./lib/notifiers');
+const { formatNumber } = require('./lib/format');
+const { writeCharts } = require('./lib/charts');
+const { writeReport } = require('./lib/report');
+const { createProvider } = require('./providers');
+
+// Coins fetched by market cap each run: the market table, mover screens and backfill universe
+const UNIVERSE_SIZE = 500;
 
 // Get date key for New York timezone
 function getDateKeyNY() {
@@ -19,34 +77,25 @@ function getDateKeyNY() {
 }
 
 class CryptoDataGenerator {
-  constructor() {
-    this.API_KEY = process.env.COINGECKO_API_KEY;
-    this.isPro = !!this.API_KEY;
-    this.BASE_URL = this.isPro ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3';
-    this.cache = new Map();
-    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-    this.minDelayMs = this.isPro ? 300 : 1600; // minimal spacing between calls
-    this.maxRetries = this.isPro ? 3 : 6; // retry more on free
-    this.backoffBaseMs = this.isPro ? 500 : 2000;
-    this.lastRequestTime = 0;
-    this.freeModeForced = false; // becomes true if we auto-downgrade from PRO
-
-    console.log('🔑 GitHub Actions - API Configuration:');
-    console.log(`   - Using ${this.isPro ? 'PRO' : 'FREE'} CoinGecko API`);
-    console.log(`   - Base URL: ${this.BASE_URL}`);
-    console.log(`   - Min delay: ${this.minDelayMs}ms, Max retries: ${this.maxRetries}`);
+  constructor({ config = loadConfig(), provider } = {}) {
+    this.config = config;
+    this.dataDir = path.resolve(config.dataDir);
+    this.provider = provider || createProvider(config.provider, {
+      httpFixtures: config.httpFixtures,
+      httpCache: config.httpCache
+    });
+    this.narratives = loadNarratives(config.narratives.file);
+    this.alertRules = config.alerts.enabled ? loadAlertRules(config.alerts.file) : null;
+    this.provider.logConfiguration();
+  }
+
+  get isPro() {
+    return this.provider.isPro;
   }
 
   // === Technical helpers reused from API ===
   calculateEMA(prices, period) {
-    const k = 2 / (period + 1);
-    const sma = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    const ema = Array(period - 1).fill(null);
-    ema.push(sma);
-    for (let i = period; i < prices.length; i++) {
-      ema.push((prices[i] * k) + (ema[ema.length - 1] * (1 - k)));
-    }
-    return ema;
+    return indicators.calculateEMA(prices, period);
   }
 
   calculateCorrelationAndBeta(prices1, prices2) {
@@ -86,121 +135,254 @@ class CryptoDataGenerator {
     return sumSquaredMarket === 0 ? 0 : sumProduct / sumSquaredMarket;
   }
 
-  // === Rate limit & retry helpers ===
-  sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-  async enforceRateLimit() {
-    const now = Date.now();
-    const elapsed = now - this.lastRequestTime;
-    if (elapsed < this.minDelayMs) {
-      await this.sleep(this.minDelayMs - elapsed);
+  // Simple returns; a zero previous value yields a zero return
+  toReturns(series) {
+    const returns = [];
+    for (let i = 1; i < series.length; i++) {
+      const prev = series[i - 1];
+      const curr = series[i];
+      returns.push(prev === 0 ? 0 : (curr - prev) / prev);
     }
-    this.lastRequestTime = Date.now();
+    return returns;
+  }
+
+  // Daily returns over the correlation window, keyed by UTC date; null without a history
+  datedCloseReturns(history) {
+    if (!history) return null;
+    const closes = toPoints(byUtcDay(history.prices)).slice(-(this.config.analysis.historyDays + 1));
+    return datedReturns(closes);
   }
 
-  randomJitter(ms) {
-    const jitter = Math.floor(Math.random() * Math.min(500, Math.max(100, ms * 0.1)));
-    return ms + jitter;
+  // Correlation of a coin's returns to BTC's and ETH's on their own (dated return maps)
+  majorCorrelations(returns, btcReturns, ethReturns) {
+    const { minOverlap } = this.config.correlationMatrix;
+    const correlate = other => {
+      const value = other ? pearson(returns, other, minOverlap) : null;
+      return value == null ? null : parseFloat(value.toFixed(3));
+    };
+    return { correlationToBtc: correlate(btcReturns), correlationToEth: correlate(ethReturns) };
   }
 
-  computeBackoffDelay(attempt, retryAfterHeader) {
-    if (retryAfterHeader) {
-      const ra = Number(retryAfterHeader);
-      if (!isNaN(ra) && ra > 0) return (ra * 1000);
+  async getCorrelationMatrix(date, timestamp, topCoins, histories) {
+    if (!this.config.correlationMatrix.enabled) return null;
+    const excluded = await this.getExcludedCoins();
+    const matrix = this.buildCorrelationMatrix(date, timestamp, topCoins, excluded,
+      coin => this.datedCloseReturns(histories.get(coin.id)));
+    const { coins, clusters, leastCorrelatedPairs: [lowest] } = matrix.section;
+    const pair = lowest ? `, least correlated: ${lowest.a.symbol}/${lowest.b.symbol} ${lowest.correlation}` : '';
+    console.log(`✅ Correlation matrix of ${coins} coins, ${clusters.length} clusters${pair}`);
+    return matrix;
+  }
+
+  // The correlation matrix file and the snapshot's correlationMatrix section, over the top
+  // config.correlationMatrix.coins coins outside the excluded categories (stablecoins, wrapped
+  // assets). returnsFor(coin) returns the coin's dated returns or null.
+  buildCorrelationMatrix(date, timestamp, topCoins, excluded, returnsFor) {
+    const { coins: size, minOverlap, clusterThreshold, leastCorrelatedPairs: pairCount } = this.config.correlationMatrix;
+    const { historyDays } = this.config.analysis;
+    const coins = [];
+    const returns = [];
+    for (const coin of topCoins) {
+      if (coins.length >= size) break;
+      if (excluded.coins.has(coin.id)) continue;
+      const coinReturns = returnsFor(coin);
+      if (!coinReturns || coinReturns.size < minOverlap) continue;
+      coins.push(coin);
+      returns.push(coinReturns);
     }
-    // exponential backoff with cap
-    const base = this.backoffBaseMs * Math.pow(2, attempt);
-    return Math.min(30000, this.randomJitter(base));
+    const matrix = correlationMatrix(returns, minOverlap);
+    const ref = i => ({ id: coins[i].id, symbol: (coins[i].symbol || '').toUpperCase() });
+    const doc = {
+      date,
+      timestamp,
+      windowDays: historyDays,
+      minOverlap,
+      ids: coins.map(coin => coin.id),
+      symbols: coins.map(coin => (coin.symbol || '').toUpperCase()),
+      matrix
+    };
+    const section = {
+      file: correlationMatrixFile(date),
+      coins: coins.length,
+      windowDays: historyDays,
+      clusterThreshold,
+      clusters: clusterMatrix(matrix, clusterThreshold).map(({ members, averageCorrelation }) => ({
+        coins: members.map(i => coins[i].id),
+        averageCorrelation
+      })),
+      leastCorrelatedPairs: leastCorrelatedPairs(matrix, pairCount).map(([i, j, correlation]) => ({
+        a: ref(i),
+        b: ref(j),
+        correlation
+      }))
+    };
+    return { doc, section };
   }
 
-  downgradeToFree() {
-    if (!this.isPro) return;
-    console.warn('🔁 Downgrading to FREE API due to auth failure on PRO');
-    this.isPro = false;
-    this.API_KEY = null;
-    this.BASE_URL = 'https://api.coingecko.com/api/v3';
-    this.minDelayMs = 1600;
-    this.maxRetries = 6;
-    this.backoffBaseMs = 2000;
-    this.freeModeForced = true;
+  // Correlation/beta of a coin's daily returns against TOTAL3 returns on the same days
+  correlationStats(returns, benchmarkReturns) {
+    if (returns.length < 2) return null;
+    const { correlation, beta } = this.calculateCorrelationAndBeta(returns, benchmarkReturns);
+    const downsideBeta = this.calculateDownsideBeta(returns, benchmarkReturns);
+    return { correlation, beta, downsideBeta };
   }
 
-  async fetchHistoricalTotal3(days = 90) {
-    try {
-      let btcChart, ethChart, globalNow;
-      if (this.isPro) {
-        [btcChart, ethChart, globalNow] = await Promise.all([
-          this.makeAPICall('/coins/bitcoin/market_chart', { vs_currency: 'usd', days, interval: 'daily' }),
-          this.makeAPICall('/coins/ethereum/market_chart', { vs_currency: 'usd', days, interval: 'daily' }),
-          this.makeAPICall('/global')
-        ]);
-      } else {
-        // On FREE, avoid parallel bursts
-        btcChart = await this.makeAPICall('/coins/bitcoin/market_chart', { vs_currency: 'usd', days, interval: 'daily' });
-        ethChart = await this.makeAPICall('/coins/ethereum/market_chart', { vs_currency: 'usd', days, interval: 'daily' });
-        globalNow = await this.makeAPICall('/global');
-      }
-      const btcCaps = btcChart?.market_caps || [];
-      const ethCaps = ethChart?.market_caps || [];
-      const len = Math.min(btcCaps.length, ethCaps.length);
-      if (len < 2) throw new Error('Insufficient BTC/ETH history');
-      const btcD = (globalNow?.data?.market_cap_percentage?.btc || 0) / 100;
-      const ethD = (globalNow?.data?.market_cap_percentage?.eth || 0) / 100;
-      const denom = Math.max(btcD + ethD, 1e-6);
-      const total3 = [];
-      for (let i = 0; i < len; i++) {
-        const totalMcap = (btcCaps[i][1] + ethCaps[i][1]) / denom;
-        total3.push(totalMcap * (1 - btcD - ethD));
+  // The correlationAnalysis.benchmark record: which TOTAL3 method was used and over how many days
+  total3Summary({ method, points, returns, skipped }) {
+    return {
+      series: 'TOTAL3',
+      method,
+      points: points.length,
+      returns: returns.size,
+      from: points[0]?.date ?? null,
+      to: points.at(-1)?.date ?? null,
+      skipped
+    };
+  }
+
+  // Fast/slow EMA crossover state at the last bar of a daily price series. The EMAs are
+  // reported as ema<period> (ema21, ema55 for the 21/55 pair); spread is fast vs slow in percent.
+  analyzeEMACrossover(prices, { fast = 21, slow = 55, lookbackBars = 3 } = {}) {
+    if (!prices || prices.length < slow) return null;
+    const emaFast = this.calculateEMA(prices, fast);
+    const emaSlow = this.calculateEMA(prices, slow);
+    const lastIdx = prices.length - 1;
+    const firstValidIdx = slow - 1;
+    if (lastIdx <= firstValidIdx) return null;
+    let lastCrossoverIdx = -1;
+    let lastCrossoverType = 'none';
+    for (let j = firstValidIdx + 1; j <= lastIdx; j++) {
+      if (emaFast[j] == null || emaSlow[j] == null || emaFast[j-1] == null || emaSlow[j-1] == null) continue;
+      const prevDiff = emaFast[j-1] - emaSlow[j-1];
+      const currDiff = emaFast[j] - emaSlow[j];
+      if (prevDiff < 0 && currDiff > 0) { lastCrossoverIdx = j; lastCrossoverType = 'bullish'; }
+      else if (prevDiff > 0 && currDiff < 0) { lastCrossoverIdx = j; lastCrossoverType = 'bearish'; }
+    }
+    let signal = 'none';
+    let daysAgo = null;
+    if (lastCrossoverIdx !== -1 && lastIdx - lastCrossoverIdx <= lookbackBars) {
+      signal = lastCrossoverType;
+      daysAgo = lastIdx - lastCrossoverIdx;
+    }
+    return {
+      [`ema${fast}`]: emaFast[lastIdx],
+      [`ema${slow}`]: emaSlow[lastIdx],
+      spreadPercent: emaSlow[lastIdx] ? ((emaFast[lastIdx] - emaSlow[lastIdx]) / emaSlow[lastIdx]) * 100 : 0,
+      daysAgo,
+      signal
+    };
+  }
+
+  // Configured EMA pairs, checked once so a typo fails loudly instead of silently yielding nothing
+  get emaPairs() {
+    const { pairs } = this.config.emaCrossovers;
+    for (const { fast, slow } of pairs) {
+      if (!Number.isInteger(fast) || !Number.isInteger(slow) || fast < 1 || fast >= slow) {
+        throw new Error(`Invalid EMA pair ${fast}/${slow}: periods must be integers with fast < slow`);
       }
-      return total3;
-    } catch (e) {
-      // Fallback to flat series using snapshot
+    }
+    return pairs;
+  }
+
+  // One emaCrossovers entry per configured pair; lastDateKey is the date of the last price bar
+  emaCrossoverEntries(coin, prices, lastDateKey, timestamp) {
+    const { lookbackBars } = this.config.emaCrossovers;
+    const entries = [];
+    for (const { fast, slow } of this.emaPairs) {
+      const crossover = this.analyzeEMACrossover(prices, { fast, slow, lookbackBars });
+      if (!crossover) continue;
+      entries.push({
+        id: coin.id,
+        name: coin.name,
+        symbol: (coin.symbol || '').toUpperCase(),
+        currentPrice: coin.current_price,
+        priceChange24h: coin.price_change_percentage_24h,
+        pair: `${fast}/${slow}`,
+        ...crossover,
+        crossoverDate: crossover.daysAgo == null ? null : shiftDateKey(lastDateKey, -crossover.daysAgo),
+        timestamp
+      });
+    }
+    return entries;
+  }
+
+  // Pause between paged requests; skipped by the provider when they were served from cache
+  sleep(ms) { return this.provider.pace(ms); }
+
+  // TOTAL3 history for the correlation analysis: the provider's global market cap chart when it has
+  // one, else the snapshot archive, else the universe's own market caps. Returns { method, points,
+  // returns } from the first method with at least analysis.minBenchmarkPoints daily returns, or
+  // { method: null, skipped } when none has them.
+  async getTotal3History(days, histories, { date, globalMetrics }) {
+    const methods = {
+      'global-chart': async () => total3FromGlobalChart(
+        await this.provider.getGlobalHistory({ days }), histories.get('bitcoin'), histories.get('ethereum'), days),
+      archive: async () => total3FromArchive(this.dataDir, date, days, globalMetrics, this.provider.now()),
+      universe: async () => total3FromHistories(histories, histories.ids(), days)
+    };
+    const failures = [];
+    for (const [method, load] of Object.entries(methods)) {
       try {
-        const g = await this.makeAPICall('/global');
-        const total = Number(g?.data?.total_market_cap?.usd || 0);
-        const btcD = Number(g?.data?.market_cap_percentage?.btc || 0) / 100;
-        const ethD = Number(g?.data?.market_cap_percentage?.eth || 0) / 100;
-        const t3 = total * (1 - btcD - ethD);
-        return Array.from({ length: days }, () => t3);
-      } catch {
-        return Array.from({ length: days }, () => 0);
+        const points = await load();
+        const returns = datedReturns(points);
+        const reason = degenerateReason(returns, this.config.analysis.minBenchmarkPoints);
+        if (!reason) {
+          console.log(`✅ TOTAL3 history from ${method}: ${points.length} days (${points[0].date} → ${points.at(-1).date})`);
+          return { method, points, returns, skipped: null };
+        }
+        failures.push(`${method}: ${reason}`);
+      } catch (e) {
+        failures.push(`${method}: ${e.message}`);
       }
     }
+    return { method: null, points: [], returns: new Map(), skipped: `no usable TOTAL3 history (${failures.join('; ')})` };
+  }
+
+  get analysisCoinLimit() {
+    const { universe } = this.config.analysis;
+    if (typeof universe === 'number') return universe;
+    return this.isPro ? universe.pro : universe.free;
+  }
+
+  // Days of history to fetch: the longest window any analysis or enabled indicator needs
+  get priceHistoryDays() {
+    const { analysis, emaCrossovers, technicalIndicators } = this.config;
+    const indicatorDays = technicalIndicators.enabled ? indicators.requiredHistoryDays(technicalIndicators) : 0;
+    return Math.max(analysis.historyDays, emaCrossovers.historyDays, indicatorDays);
+  }
+
+  // Fetch the daily history of every coin in the analysis universe once, for all indicators
+  async loadPriceHistories(topCoins) {
+    const { concurrency } = this.config.analysis;
+    const store = new PriceHistoryStore(this.provider, {
+      days: this.priceHistoryDays,
+      concurrency: this.isPro ? concurrency.pro : concurrency.free
+    });
+    const ids = (topCoins || []).slice(0, this.analysisCoinLimit).map(coin => coin?.id);
+    return store.load(ids);
   }
 
-  async getCorrelationAnalysis(topCoins) {
+  // Returns { benchmark, correlations }. With no usable TOTAL3 history the analysis is skipped and
+  // benchmark.skipped says why.
+  async getCorrelationAnalysis(topCoins, histories, { date, globalMetrics }) {
     const results = [];
-    // Limit to reduce rate limits during GitHub Actions run
-    const coinsToAnalyze = (topCoins || []).slice(0, 60);
-    const total3Prices = await this.fetchHistoricalTotal3(90);
-    const total3Returns = [];
-    for (let i = 1; i < total3Prices.length; i++) {
-      const prev = total3Prices[i - 1];
-      const curr = total3Prices[i];
-      if (prev === 0) { total3Returns.push(0); } else { total3Returns.push((curr - prev) / prev); }
+    const coinsToAnalyze = (topCoins || []).slice(0, this.analysisCoinLimit);
+    const { historyDays } = this.config.analysis;
+    const total3 = await this.getTotal3History(historyDays, histories, { date, globalMetrics });
+    const benchmark = this.total3Summary(total3);
+    if (total3.skipped) {
+      console.warn(`⚠️  Skipping correlation analysis: ${total3.skipped}`);
+      return { benchmark, correlations: [] };
     }
+    const btcReturns = this.datedCloseReturns(histories.get('bitcoin'));
+    const ethReturns = this.datedCloseReturns(histories.get('ethereum'));
     for (const coin of coinsToAnalyze) {
       try {
         if (!coin?.id || coin.id === 'bitcoin' || coin.id === 'ethereum') continue;
-        const history = await this.makeAPICall(`/coins/${coin.id}/market_chart`, {
-          vs_currency: 'usd', days: 90, interval: 'daily'
-        });
-        if (!history.prices || history.prices.length < 2) continue;
-        const prices = history.prices.map(p => p[1]);
-        const returns = [];
-        for (let i = 1; i < prices.length; i++) {
-          const prev = prices[i - 1];
-          const curr = prices[i];
-          returns.push(prev === 0 ? 0 : (curr - prev) / prev);
-        }
-        const minLen = Math.min(returns.length, total3Returns.length);
-        if (minLen < 2) continue;
-        const { correlation, beta } = this.calculateCorrelationAndBeta(
-          returns.slice(-minLen), total3Returns.slice(-minLen)
-        );
-        const downsideBeta = this.calculateDownsideBeta(
-          returns.slice(-minLen), total3Returns.slice(-minLen)
-        );
+        const returns = this.datedCloseReturns(histories.get(coin.id));
+        if (!returns) continue;
+        const stats = this.correlationStats(...alignReturns(returns, total3.returns));
+        if (!stats) continue;
         results.push({
           id: coin.id,
           name: coin.name,
@@ -208,201 +390,187 @@ class CryptoDataGenerator {
           currentPrice: coin.current_price,
           marketCap: coin.market_cap,
           priceChange24h: coin.price_change_percentage_24h,
-          correlation,
-          beta,
-          downsideBeta,
+          ...stats,
+          ...this.majorCorrelations(returns, btcReturns, ethReturns),
           timestamp: new Date().toISOString()
         });
-        await this.sleep(this.isPro ? 500 : 2200);
       } catch (e) {
         console.warn(`Correlation calc failed for ${coin?.id}:`, e.message);
       }
     }
-    return results.sort((a, b) => b.marketCap - a.marketCap);
+    return { benchmark, correlations: results.sort((a, b) => b.marketCap - a.marketCap) };
+  }
+
+  async getRiskMetrics(topCoins, histories) {
+    if (!this.config.riskMetrics.enabled) return undefined;
+    const section = this.analyzeRiskMetrics(topCoins, await this.getExcludedCoins(),
+      coin => histories.prices(coin.id, { days: this.config.analysis.historyDays }));
+    const [lowest] = section.rankings.lowestVolatility;
+    const [worst] = section.rankings.worstDrawdown;
+    console.log(`✅ Risk metrics for ${section.coins.length} coins (lowest vol: ${lowest?.symbol || 'n/a'}, worst drawdown: ${worst?.symbol || 'n/a'} ${worst?.value ?? ''}%)`);
+    return section;
   }
 
-  async getEMACrossovers(topCoins) {
+  // The riskMetrics section for the universe; closesFor(coin) returns its closes over the window.
+  // Coins of the excluded categories keep their metrics but are left out of the rankings.
+  analyzeRiskMetrics(topCoins, excluded, closesFor) {
+    const { riskFreeRate, minDays, rankingSize } = this.config.riskMetrics;
+    const coins = [];
+    for (const coin of (topCoins || []).slice(0, this.analysisCoinLimit)) {
+      if (!coin?.id) continue;
+      const metrics = computeRiskMetrics(closesFor(coin), { riskFreeRate, minDays });
+      if (!metrics) continue;
+      coins.push({
+        id: coin.id,
+        symbol: (coin.symbol || '').toUpperCase(),
+        name: coin.name,
+        marketCap: coin.market_cap,
+        ...metrics
+      });
+    }
+    return {
+      windowDays: this.config.analysis.historyDays,
+      riskFreeRate,
+      excludedCategories: excluded.categories,
+      rankings: rankRiskMetrics(coins.filter(coin => !excluded.coins.has(coin.id)), rankingSize),
+      coins
+    };
+  }
+
+  async getEMACrossovers(topCoins, histories) {
+    const pairs = this.emaPairs; // fails the run on a bad pair rather than once per coin
     const results = [];
-    const coinsToAnalyze = (topCoins || []).slice(0, 60);
+    const coinsToAnalyze = (topCoins || []).slice(0, this.analysisCoinLimit);
     for (const coin of coinsToAnalyze) {
       try {
         if (!coin?.id) continue;
-        const history = await this.makeAPICall(`/coins/${coin.id}/market_chart`, {
-          vs_currency: 'usd', days: 90, interval: 'daily'
-        });
-        if (!history.prices || history.prices.length < 55) continue;
-        const prices = history.prices.map(p => p[1]);
-        const ema21 = this.calculateEMA(prices, 21);
-        const ema55 = this.calculateEMA(prices, 55);
-        const lastIdx = prices.length - 1;
-        const firstValidIdx = 54; // max(21,55)-1
-        if (lastIdx <= firstValidIdx) continue;
-        let lastCrossoverIdx = -1;
-        let lastCrossoverType = 'none';
-        for (let j = firstValidIdx + 1; j <= lastIdx; j++) {
-          if (ema21[j] == null || ema55[j] == null || ema21[j-1] == null || ema55[j-1] == null) continue;
-          const prevDiff = ema21[j-1] - ema55[j-1];
-          const currDiff = ema21[j] - ema55[j];
-          if (prevDiff < 0 && currDiff > 0) { lastCrossoverIdx = j; lastCrossoverType = 'bullish'; }
-          else if (prevDiff > 0 && currDiff < 0) { lastCrossoverIdx = j; lastCrossoverType = 'bearish'; }
-        }
-        const lookbackBars = 3;
-        let signal = 'none';
-        let daysAgo = null;
-        const currentEma21 = ema21[lastIdx];
-        const currentEma55 = ema55[lastIdx];
-        if (lastCrossoverIdx !== -1 && lastIdx - lastCrossoverIdx <= lookbackBars) {
-          signal = lastCrossoverType;
-          daysAgo = lastIdx - lastCrossoverIdx;
-        }
-        results.push({
-          id: coin.id,
-          name: coin.name,
-          symbol: (coin.symbol || '').toUpperCase(),
-          currentPrice: coin.current_price,
-          priceChange24h: coin.price_change_percentage_24h,
-          ema21: currentEma21,
-          ema55: currentEma55,
-          daysAgo,
-          signal,
-          timestamp: new Date().toISOString()
-        });
-        await this.sleep(this.isPro ? 800 : 2500);
+        const prices = histories.prices(coin.id, { days: this.config.emaCrossovers.historyDays });
+        if (!prices) continue;
+        const lastTs = histories.get(coin.id).prices.at(-1)[0];
+        const lastDateKey = new Date(lastTs).toISOString().slice(0, 10);
+        results.push(...this.emaCrossoverEntries(coin, prices, lastDateKey, new Date().toISOString()));
       } catch (e) {
         console.warn(`EMA calc failed for ${coin?.id}:`, e.message);
       }
     }
-    const bullCount = results.filter(r => r.signal === 'bullish').length;
-    const bearCount = results.filter(r => r.signal === 'bearish').length;
-    console.log(`✅ EMA crossovers — Bullish: ${bullCount}, Bearish: ${bearCount}, Total: ${results.length}`);
+    for (const { fast, slow } of pairs) {
+      const pairResults = results.filter(r => r.pair === `${fast}/${slow}`);
+      const bullCount = pairResults.filter(r => r.signal === 'bullish').length;
+      const bearCount = pairResults.filter(r => r.signal === 'bearish').length;
+      console.log(`✅ EMA ${fast}/${slow} crossovers — Bullish: ${bullCount}, Bearish: ${bearCount}, Total: ${pairResults.length}`);
+    }
     return results;
   }
 
-  // HTTP request function
-  makeRequest(url, headers = {}) {
-    return new Promise((resolve, reject) => {
-      const requestHeaders = {
-        'User-Agent': 'Mozilla/5.0 (compatible; CryptoTracker/1.0; +https://github.com/crypto-market-tracker)',
-        ...headers
-      };
-
-      if (this.API_KEY) {
-        requestHeaders['x-cg-pro-api-key'] = this.API_KEY;
-      }
-
-      const options = { headers: requestHeaders, timeout: 20000 };
-
-      const req = https.get(url, options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          const retryAfter = res.headers ? (res.headers['retry-after'] || res.headers['Retry-After']) : undefined;
-          if (res.statusCode === 401 || res.statusCode === 403) {
-            const err = new Error('Unauthorized - Check your API key');
-            err.statusCode = res.statusCode;
-            reject(err);
-            return;
-          }
-          
-          if (res.statusCode === 429) {
-            const err = new Error('Rate limited - Too many requests');
-            err.statusCode = 429;
-            if (retryAfter) err.retryAfter = retryAfter;
-            reject(err);
-            return;
-          }
-          
-          if (res.statusCode && res.statusCode >= 500) {
-            const err = new Error(`Server error ${res.statusCode}`);
-            err.statusCode = res.statusCode;
-            reject(err);
-            return;
-          }
-          
-          if (res.statusCode !== 200) {
-            const err = new Error(`HTTP ${res.statusCode}: ${data}`);
-            err.statusCode = res.statusCode;
-            reject(err);
-            return;
-          }
-
-          try {
-            const parsed = JSON.parse(data);
-            resolve(parsed);
-          } catch (error) {
-            reject(new Error(`JSON parse error: ${error.message}`));
-          }
-        });
-      });
-
-      req.on('timeout', () => {
-        req.destroy(new Error('Request timeout'));
+  // technicalIndicators section for a list of coins; pricesFor(coin) returns its daily closes
+  analyzeIndicators(coins, pricesFor) {
+    const { enabled, ...parameters } = this.config.technicalIndicators;
+    const entries = [];
+    for (const coin of coins) {
+      if (!coin?.id) continue;
+      const prices = pricesFor(coin);
+      if (!prices || prices.length < 2) continue;
+      entries.push({
+        id: coin.id,
+        name: coin.name,
+        symbol: (coin.symbol || '').toUpperCase(),
+        currentPrice: coin.current_price,
+        priceChange24h: coin.price_change_percentage_24h,
+        ...indicators.computeIndicators(prices, parameters)
       });
+    }
+    return { parameters, summary: indicators.summarizeIndicators(entries), coins: entries };
+  }
 
-      req.on('error', (error) => {
-        reject(error);
-      });
-    });
+  getTechnicalIndicators(topCoins, histories) {
+    if (!this.config.technicalIndicators.enabled) return undefined;
+    const coins = (topCoins || []).slice(0, this.analysisCoinLimit);
+    const section = this.analyzeIndicators(coins, coin => histories.prices(coin.id));
+    const { summary } = section;
+    console.log(`✅ Indicators — Overbought: ${summary.overbought}, Oversold: ${summary.oversold}, Golden/Death crosses: ${summary.goldenCrosses}/${summary.deathCrosses}, Total: ${summary.coinsAnalyzed}`);
+    return section;
   }
 
-  async makeAPICall(endpoint, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const buildUrl = () => `${this.BASE_URL}${endpoint}${queryString ? '?' + queryString : ''}`;
-    const cacheKey = `${endpoint}|${queryString}`; // cache key decoupled from base URL
+  async getTopPerformers() {
+    const allCoins = await this.fetchTopCoins();
+    const { eligible, moverFilters } = this.screenMovers(allCoins, await this.getExcludedCoins());
+    const { topGainers24h, topLosers24h, topGainers7d } = this.rankPerformers(eligible);
+
+    console.log(`✅ Found ${topGainers24h.length} gainers, ${topLosers24h.length} losers, ${topGainers7d.length} weekly winners`);
     
-    const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
-      console.log(`📦 Cache hit for: ${endpoint}`);
-      return cached.data;
-    }
+    return { 
+      topGainers24h, 
+      topLosers24h, 
+      topGainers7d,
+      moverFilters,
+      moverIds: new Set(eligible.map(coin => coin.id)),
+      allCoins // Include all coins for additional processing
+    };
+  }
 
-    let attempt = 0;
-    while (attempt <= this.maxRetries) {
+  // Coins of the excluded categories (stablecoins, wrapped and bridged assets), as a map of id ->
+  // category id plus the categories that could be applied. Fetched once per generator.
+  async getExcludedCoins() {
+    if (this.excludedCoins) return this.excludedCoins;
+    const coins = new Map();
+    const categories = [];
+    for (const category of this.config.movers.excludeCategories) {
       try {
-        await this.enforceRateLimit();
-        const url = buildUrl();
-        console.log(`🌐 API call: ${endpoint} (attempt ${attempt + 1}/${this.maxRetries + 1})`);
-        const data = await this.makeRequest(url);
-        this.cache.set(cacheKey, { data, timestamp: Date.now() });
-        return data;
-      } catch (error) {
-        const sc = error && error.statusCode;
-        // Auto-downgrade from PRO to FREE on auth failure
-        if ((sc === 401 || sc === 403) && this.isPro) {
-          this.downgradeToFree();
-          attempt++;
-          continue;
-        }
-        // Retry on 429 / 5xx / transient network errors
-        const transient = sc === 429 || (sc && sc >= 500) ||
-          (error && ['ECONNRESET','ETIMEDOUT','EAI_AGAIN','ENOTFOUND'].includes(error.code));
-        if (transient && attempt < this.maxRetries) {
-          const delay = this.computeBackoffDelay(attempt, error && error.retryAfter);
-          console.warn(`⏳ Retry ${attempt + 1} for ${endpoint} in ${delay}ms (reason: ${error.message})`);
-          await this.sleep(delay);
-          attempt++;
-          continue;
-        }
-
-        console.error(`❌ API call failed: ${endpoint}`, error.message);
-        if (cached) {
-          console.log('📦 Using stale cache data');
-          return cached.data;
-        }
-        throw error;
+        const members = await this.provider.getMarkets({ category, perPage: 250, vsCurrency: BASE_CURRENCY });
+        if (!Array.isArray(members)) throw new Error(`Invalid markets format for category ${category}`);
+        members.forEach(coin => coins.has(coin.id) || coins.set(coin.id, category));
+        categories.push(category);
+      } catch (e) {
+        if (e.code !== 'UNSUPPORTED') throw e;
+        console.warn(`⚠️  ${e.message}; movers are not screened for category ${category}`);
       }
     }
+    this.excludedCoins = { coins, categories };
+    return this.excludedCoins;
   }
 
-  async getTopPerformers() {
-    console.log('📈 Fetching top 500 coins...');
+  // Applies config.movers to the coins; returns the eligible coins and the `moverFilters` section
+  screenMovers(allCoins, excluded) {
+    const { minMarketCap, minVolume24h, minVolumeToMarketCap } = this.config.movers;
+    const { eligible, filteredOut } = screenCoins(allCoins, this.config.movers, excluded.coins);
+    console.log(`🧹 ${eligible.length} of ${allCoins.length} coins pass the mover screens (${Object.entries(filteredOut).map(([rule, n]) => `${rule}: ${n}`).join(', ')})`);
+    return {
+      eligible,
+      moverFilters: {
+        minMarketCap,
+        minVolume24h,
+        minVolumeToMarketCap,
+        excludedCategories: excluded.categories,
+        screened: allCoins.length,
+        eligible: eligible.length,
+        filteredOut
+      }
+    };
+  }
+
+  // Why a coin made a mover list: the move it was ranked on and the liquidity figures it was screened on.
+  // A figure the provider lacks reads "n/a", and the share of cap is left out unless both are known.
+  qualification(coin, period, change) {
+    const marketCap = coin.market_cap > 0 ? coin.market_cap : null;
+    const volume = Number.isFinite(coin.total_volume) ? coin.total_volume : null;
+    const volumeToMarketCap = marketCap != null && volume != null ? volume / marketCap : null;
+    const move = `${change > 0 ? '+' : ''}${change.toFixed(2)}% over ${period}`;
+    const money = value => (value == null ? 'n/a' : `$${this.formatNumber(value)}`);
+    const share = volumeToMarketCap == null ? '' : ` (${(volumeToMarketCap * 100).toFixed(1)}% of cap)`;
+    return {
+      reason: `${move}; market cap ${money(marketCap)}, 24h volume ${money(volume)}${share}`,
+      marketCap,
+      volume24h: volume,
+      volumeToMarketCap: volumeToMarketCap == null ? null : parseFloat(volumeToMarketCap.toFixed(4))
+    };
+  }
+
+  // Top 500 coins by market cap, priced in vsCurrency
+  async fetchTopCoins(vsCurrency = BASE_CURRENCY) {
+    console.log(`📈 Fetching top ${UNIVERSE_SIZE} coins${vsCurrency === BASE_CURRENCY ? '' : ` in ${vsCurrency.toUpperCase()}`}...`);
     const allCoins = [];
     const perPage = 250; // Maximum allowed by CoinGecko API
-    const totalCoins = 500;
+    const totalCoins = UNIVERSE_SIZE;
     const pages = Math.ceil(totalCoins / perPage);
 
     // Fetch all pages of data
@@ -410,14 +578,7 @@ class CryptoDataGenerator {
       const coinsToFetch = page === pages ? (totalCoins % perPage || perPage) : perPage;
       console.log(`   - Fetching page ${page} (${coinsToFetch} coins)...`);
       
-      const data = await this.makeAPICall('/coins/markets', {
-        vs_currency: 'usd',
-        order: 'market_cap_desc',
-        per_page: coinsToFetch,
-        page: page,
-        sparkline: this.isPro ? false : true,
-        price_change_percentage: '24h,7d'
-      });
+      const data = await this.provider.getMarkets({ page, perPage: coinsToFetch, vsCurrency });
 
       if (!Array.isArray(data)) {
         console.error('❌ Invalid data format from API:', data);
@@ -437,46 +598,120 @@ class CryptoDataGenerator {
     }
 
     console.log(`✅ Fetched ${allCoins.length} coins in total`);
+    return allCoins;
+  }
 
-    // Process the data
-    const topGainers24h = allCoins
+  // coins should already be screened (see screenMovers)
+  rankPerformers(coins) {
+    const topGainers24h = coins
       .filter(coin => coin.price_change_percentage_24h > 0)
       .sort((a, b) => b.price_change_percentage_24h - a.price_change_percentage_24h)
-      .slice(0, 15); // Get more for better selection
+      .slice(0, 15) // Get more for better selection
+      .map(c => ({ ...c, qualification: this.qualification(c, '24h', c.price_change_percentage_24h) }));
 
-    const topLosers24h = allCoins
+    const topLosers24h = coins
       .filter(coin => coin.price_change_percentage_24h < 0)
       .sort((a, b) => a.price_change_percentage_24h - b.price_change_percentage_24h)
-      .slice(0, 15);
+      .slice(0, 15)
+      .map(c => ({ ...c, qualification: this.qualification(c, '24h', c.price_change_percentage_24h) }));
 
-    const topGainers7d = allCoins
+    const topGainers7d = coins
       .map(c => ({ ...c, _7d: this.get7dChange(c) }))
       .filter(c => c._7d != null && c._7d > 0)
       .sort((a, b) => b._7d - a._7d)
-      .slice(0, 15);
+      .slice(0, 15)
+      .map(c => ({ ...c, qualification: this.qualification(c, '7d', c._7d) }));
 
-    console.log(`✅ Found ${topGainers24h.length} gainers, ${topLosers24h.length} losers, ${topGainers7d.length} weekly winners`);
-    
-    return { 
-      topGainers24h, 
-      topLosers24h, 
-      topGainers7d,
-      allCoins // Include all coins for additional processing
+    return { topGainers24h, topLosers24h, topGainers7d };
+  }
+
+  get currencies() {
+    return normalizeCurrencies(this.config.currencies);
+  }
+
+  // The `currencies` section: USD plus each configured quote currency, or undefined for USD-only runs.
+  // Adapters that can't price markets in a currency skip it with a warning.
+  async getCurrencyData(topPerformers, globalMetrics, narrativeData) {
+    const quotes = this.currencies.filter(code => code !== BASE_CURRENCY);
+    if (quotes.length === 0) return undefined;
+    const btcUsd = topPerformers.allCoins.find(coin => coin.id === 'bitcoin');
+    if (!btcUsd) throw new Error('BTC is missing from the top coins; cannot convert to other currencies');
+
+    const identity = { rate: 1, growth24h: 1, growth7d: 1 };
+    const currencies = { [BASE_CURRENCY]: this.currencyBlock(topPerformers.allCoins, topPerformers.moverIds, globalMetrics, narrativeData, identity) };
+    for (const currency of quotes) {
+      try {
+        const coins = await this.fetchTopCoins(currency);
+        const btcQuote = coins.find(coin => coin.id === 'bitcoin');
+        if (!btcQuote) throw new Error(`BTC is missing from the ${currency.toUpperCase()} markets`);
+        const fx = crossRate(btcUsd, btcQuote, coin => this.get7dChange(coin));
+        currencies[currency] = this.currencyBlock(coins, topPerformers.moverIds, globalMetrics, narrativeData, fx);
+        console.log(`💱 ${currency.toUpperCase()}: BTC ${btcQuote.current_price?.toLocaleString()}, 24h leader ${currencies[currency].topGainers24h[0]?.symbol || 'n/a'}`);
+      } catch (e) {
+        if (e.code !== 'UNSUPPORTED') throw e;
+        console.warn(`⚠️  ${e.message}; skipping ${currency.toUpperCase()}`);
+      }
+    }
+    return currencies;
+  }
+
+  // coins are the top coins priced in the currency, ranked among the USD screen's eligible moverIds;
+  // fx converts the USD figures
+  currencyBlock(coins, moverIds, globalMetrics, narrativeData, fx) {
+    const change7d = coin => this.get7dChange(coin);
+    const compact = list => list.map(coin => compactCoin(coin, change7d));
+    const benchmark = id => {
+      const coin = coins.find(c => c.id === id);
+      return coin ? compactCoin(coin, change7d) : null;
     };
+    const { topGainers24h, topLosers24h, topGainers7d } = this.rankPerformers(coins.filter(c => moverIds.has(c.id)));
+    return {
+      globalMetrics: {
+        totalMarketCap: globalMetrics.totalMarketCap * fx.rate,
+        totalVolume: globalMetrics.totalVolume * fx.rate
+      },
+      btc: benchmark('bitcoin'),
+      eth: benchmark('ethereum'),
+      topGainers24h: compact(topGainers24h),
+      topLosers24h: compact(topLosers24h),
+      topGainers7d: compact(topGainers7d),
+      narrativeData: convertNarratives(narrativeData, fx)
+    };
+  }
+
+  // Tracked stablecoins missing from the top coins are fetched by id; their histories are added to
+  // the shared store for the supply changes
+  async getStablecoinData(allCoins, globalMetrics, histories) {
+    const { enabled, coins: ids, pegBand } = this.config.stablecoins;
+    if (!enabled) return undefined;
+    console.log('🪙 Checking stablecoin pegs and supply...');
+    const byId = new Map(allCoins.map(coin => [coin.id, coin]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      const rows = await this.provider.getMarkets({ ids: missing, perPage: 250, vsCurrency: BASE_CURRENCY });
+      if (Array.isArray(rows)) rows.forEach(coin => byId.set(coin.id, coin));
+    }
+    const coins = ids.map(id => byId.get(id)).filter(Boolean);
+    await histories.load(coins.map(coin => coin.id));
+
+    const section = buildStablecoinSection(coins, {
+      totalMarketCap: globalMetrics.totalMarketCap,
+      pegBand,
+      supplyAgo: (id, days) => supplyFromHistory(histories.get(id), days)
+    });
+    const offPeg = section.offPeg.length > 0 ? `, off peg: ${section.offPeg.join(', ')}` : '';
+    console.log(`✅ ${section.coins.length} stablecoins, ${this.formatNumber(section.totalMarketCap)} (${section.shareOfMarketCap}% of market), 7d supply ${section.supplyChange7d ?? 'n/a'}%${offPeg}`);
+    return section;
   }
 
   async getGlobalMetrics() {
     console.log('🌍 Fetching global metrics...');
     try {
-      const data = await this.makeAPICall('/global');
+      const data = await this.provider.getGlobal();
       
-      if (!data.data) {
-        throw new Error('Invalid global data format');
-      }
-      
-      const btcDominance = data.data.market_cap_percentage?.btc || 0;
-      const ethDominance = data.data.market_cap_percentage?.eth || 0;
-      const totalMarketCap = data.data.total_market_cap?.usd || 0;
+      const btcDominance = data.btcDominance || 0;
+      const ethDominance = data.ethDominance || 0;
+      const totalMarketCap = data.totalMarketCap || 0;
       const total3MarketCap = totalMarketCap * (1 - ((btcDominance + ethDominance) / 100));
       
       console.log(`✅ BTC dominance: ${btcDominance.toFixed(1)}%, Total cap: ${this.formatNumber(totalMarketCap)}`);
@@ -486,10 +721,10 @@ class CryptoDataGenerator {
         ethDominance,
         totalMarketCap,
         total3MarketCap,
-        volume24h: data.data.total_volume?.usd || 0,
-        activeCryptocurrencies: data.data.active_cryptocurrencies || 0,
-        totalVolume: data.data.total_volume?.usd || 0,
-        marketCapChange24h: data.data.market_cap_change_percentage_24h_usd || 0
+        volume24h: data.totalVolume || 0,
+        activeCryptocurrencies: data.activeCryptocurrencies || 0,
+        totalVolume: data.totalVolume || 0,
+        marketCapChange24h: data.marketCapChange24h || 0
       };
     } catch (error) {
       console.error('❌ Error fetching global metrics:', error.message);
@@ -497,125 +732,60 @@ class CryptoDataGenerator {
     }
   }
 
-  async getBTCData() {
-    console.log('₿ Fetching BTC data...');
-    try {
-      const data = await this.makeAPICall('/coins/bitcoin', {
-        localization: false,
-        tickers: false,
-        market_data: true,
-        community_data: false,
-        developer_data: false,
-        sparkline: false
-      });
-      
-      const currentPrice = data.market_data?.current_price?.usd || 0;
-      const priceChange24h = data.market_data?.price_change_percentage_24h || 0;
-      const marketCap = data.market_data?.market_cap?.usd || 0;
-      
-      // Determine trend based on price change
-      let trend = 'neutral';
-      if (priceChange24h > 2) trend = 'strong_bull';
-      else if (priceChange24h > 0.5) trend = 'bullish';
-      else if (priceChange24h < -2) trend = 'strong_bear';
-      else if (priceChange24h < -0.5) trend = 'bearish';
-      
-      console.log(`✅ BTC: $${currentPrice.toLocaleString()} (${priceChange24h > 0 ? '+' : ''}${priceChange24h.toFixed(2)}%), Trend: ${trend}`);
-      
-      return {
-        currentPrice,
-        priceChange24h,
-        marketCap,
-        trend
-      };
-    } catch (error) {
-      console.error('⚠️ BTC data error:', error.message);
-      throw error;
+  // Stats for every benchmark asset, keyed by id. Assets missing from the top coins are fetched by
+  // id, and their histories added to the shared store.
+  async getBenchmarkData(allCoins, histories) {
+    const { assets, volatilityDays, trend } = this.config.benchmarks;
+    const ids = benchmarkIds(assets);
+    console.log(`📏 Computing benchmark stats for ${ids.length} assets...`);
+    const byId = new Map(allCoins.map(coin => [coin.id, coin]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      const rows = await this.provider.getMarkets({ ids: missing, perPage: 250, vsCurrency: BASE_CURRENCY });
+      if (Array.isArray(rows)) rows.forEach(coin => byId.set(coin.id, coin));
     }
+    await histories.load(ids.filter(id => byId.has(id)));
+
+    const benchmarks = {};
+    for (const id of ids) {
+      const coin = byId.get(id);
+      if (!coin) {
+        if (REQUIRED_BENCHMARKS.includes(id)) throw new Error(`No market data for benchmark ${id}`);
+        console.warn(`⚠️  No market data for benchmark ${id}, skipping`);
+        continue;
+      }
+      const stats = benchmarkStats(coin, histories.prices(id), { trend, volatilityDays, change7d: this.get7dChange(coin) });
+      benchmarks[id] = stats;
+      const sign = stats.priceChange24h > 0 ? '+' : '';
+      console.log(`✅ ${stats.symbol}: $${stats.currentPrice.toLocaleString()} (${sign}${stats.priceChange24h.toFixed(2)}%), 30d vol ${stats.realizedVolatility ?? 'n/a'}%, Trend: ${stats.trend}`);
+    }
+    return benchmarks;
   }
 
-  async getETHData() {
-    console.log('Ξ Fetching ETH data...');
+  // 'categories' mode needs provider categories; adapters without them fall back to the curated lists
+  async useCategoryNarratives() {
+    if (this.config.narratives.mode !== 'categories') return false;
+    if (!this.narratives.categories) {
+      throw new Error(`Narrative mode "categories" needs a "categories" mapping in ${this.narratives.source}`);
+    }
     try {
-      const data = await this.makeAPICall('/coins/ethereum', {
-        localization: false,
-        tickers: false,
-        market_data: true,
-        community_data: false,
-        developer_data: false,
-        sparkline: false
-      });
-
-      const currentPrice = data.market_data?.current_price?.usd || 0;
-      const priceChange24h = data.market_data?.price_change_percentage_24h || 0;
-      const marketCap = data.market_data?.market_cap?.usd || 0;
-
-      let trend = 'neutral';
-      if (priceChange24h > 2) trend = 'strong_bull';
-      else if (priceChange24h > 0.5) trend = 'bullish';
-      else if (priceChange24h < -2) trend = 'strong_bear';
-      else if (priceChange24h < -0.5) trend = 'bearish';
-
-      console.log(`✅ ETH: $${currentPrice.toLocaleString()} (${priceChange24h > 0 ? '+' : ''}${priceChange24h.toFixed(2)}%), Trend: ${trend}`);
-
-      return {
-        currentPrice,
-        priceChange24h,
-        marketCap,
-        trend
-      };
-    } catch (error) {
-      console.error('⚠️ ETH data error:', error.message);
-      throw error;
+      await this.provider.getCategories();
+      return true;
+    } catch (e) {
+      if (e.code !== 'UNSUPPORTED') throw e;
+      console.warn(`⚠️  ${e.message}; using the curated narrative lists`);
+      return false;
     }
   }
 
   async getNarrativeData() {
     console.log('📊 Generating narrative data...');
-    
-    // Define narratives with their associated coins
-    const narratives = {
-      'AI': [
-        'fet-ai', 'the-graph', 'ocean-protocol', 'singularitynet', 
-        'fetch-ai', 'numerai', 'render-token', 'akash-network',
-        'helium', 'theta-token', 'filecoin'
-      ],
-      'DeFi': [
-        'uniswap', 'aave', 'curve-dao-token', 'compound-governance-token', 
-        'synthetix-network-token', 'balancer', 'yearn-finance', 'maker',
-        'lido-dao', 'rocket-pool', 'frax-ether'
-      ],
-      'L1': [
-        'solana', 'avalanche-2', 'polkadot', 'cosmos', 'algorand', 
-        'near', 'aptos', 'sui', 'hedera-hashgraph'
-      ],
-      'L2': [
-        'arbitrum', 'optimism', 'matic-network', 'loopring', 'immutable-x',
-        'starknet', 'metis-token'
-      ],
-      'RWA': [
-        'chainlink', 'the-graph', 'ocean-protocol', 'injective-protocol', 
-        'band-protocol', 'centrifuge', 'goldfinch', 'maple'
-      ],
-      'Gaming': [
-        'axie-infinity', 'the-sandbox', 'decentraland', 'gala', 'illuvium',
-        'wax', 'ultra'
-      ],
-      'Meme': [
-        'dogecoin', 'shiba-inu', 'pepe', 'floki', 'bonk',
-        'dogwifhat', 'babydoge'
-      ],
-      'Privacy': [
-        'monero', 'zcash', 'horizen', 'secret', 'beam',
-        'dusk-network', 'railgun'
-      ]
-    };
+    if (await this.useCategoryNarratives()) {
+      return this.getCategoryNarrativeData();
+    }
 
-    const narrativeData = {};
-    
     try {
-      const coinIds = Object.values(narratives).flat();
-      const uniqueCoinIds = [...new Set(coinIds)]; // Remove duplicates
+      const uniqueCoinIds = narrativeCoinIds(this.narratives.narratives);
       
       // Fetch data in batches to avoid URL length limits
       const batchSize = 100;
@@ -627,13 +797,7 @@ class CryptoDataGenerator {
       let allCoinData = [];
       for (const batch of batches) {
         console.log(`   - Fetching batch of ${batch.length} narrative coins...`);
-        const response = await this.makeAPICall('/coins/markets', {
-          vs_currency: 'usd',
-          ids: batch.join(','),
-          price_change_percentage: '24h,7d',
-          per_page: 250,
-          sparkline: this.isPro ? false : true
-        });
+        const response = await this.provider.getMarkets({ ids: batch, perPage: 250, vsCurrency: BASE_CURRENCY });
         
         if (Array.isArray(response)) {
           allCoinData.push(...response);
@@ -643,68 +807,7 @@ class CryptoDataGenerator {
         await this.sleep(this.isPro ? 600 : 2000);
       }
       
-      // Create a map of coin data for easy access
-      const coinDataMap = {};
-      allCoinData.forEach(coin => {
-        coinDataMap[coin.id] = {
-          id: coin.id,
-          name: coin.name,
-          symbol: coin.symbol.toUpperCase(),
-          current_price: coin.current_price,
-          price_change_percentage_24h: (coin.price_change_percentage_24h_in_currency ?? coin.price_change_percentage_24h ?? 0),
-          price_change_percentage_7d: (this.get7dChange(coin) ?? 0),
-          market_cap: coin.market_cap || 0,
-          image: coin.image
-        };
-      });
-      
-      // Process each narrative
-      for (const [narrative, coinIds] of Object.entries(narratives)) {
-        const coins = [];
-        let totalMarketCap = 0;
-        let total24hChange = 0;
-        let total7dChange = 0;
-        let coinCount = 0;
-        
-        // Process each coin in the narrative
-        for (const coinId of coinIds) {
-          if (coinDataMap[coinId]) {
-            const coin = coinDataMap[coinId];
-            coins.push(coin);
-            totalMarketCap += coin.market_cap || 0;
-            total24hChange += coin.price_change_percentage_24h || 0;
-            total7dChange += coin.price_change_percentage_7d || 0;
-            coinCount++;
-          }
-        }
-        
-        // Calculate narrative metrics
-        const avg24hChange = coinCount > 0 ? total24hChange / coinCount : 0;
-        const avg7dChange = coinCount > 0 ? total7dChange / coinCount : 0;
-        
-        // Sort coins by 24h performance
-        const sortedCoins = [...coins].sort((a, b) => 
-          (b.price_change_percentage_24h || 0) - (a.price_change_percentage_24h || 0)
-        );
-        
-        // Only include narratives with at least 3 coins
-        if (coinCount >= 3) {
-          narrativeData[narrative] = {
-            change24h: parseFloat(avg24hChange.toFixed(2)),
-            change7d: parseFloat(avg7dChange.toFixed(2)),
-            marketCap: totalMarketCap,
-            coinCount,
-            topPerformers: sortedCoins.slice(0, 3).map(coin => ({
-              id: coin.id,
-              symbol: coin.symbol,
-              name: coin.name,
-              change24h: coin.price_change_percentage_24h,
-              price: coin.current_price
-            }))
-          };
-        }
-      }
-      
+      const narrativeData = this.summarizeNarratives(this.narratives.narratives, allCoinData);
       console.log(`✅ Generated data for ${Object.keys(narrativeData).length} narratives`);
       return narrativeData;
       
@@ -714,12 +817,178 @@ class CryptoDataGenerator {
     }
   }
 
+  // Themes built from the provider categories mapped to them. Market cap and 24h change are the
+  // provider's category figures (summed and cap-weighted across a theme's categories); coin count,
+  // 7d change and top performers come from the top coins of each category.
+  async getCategoryNarrativeData() {
+    const categories = new Map((await this.provider.getCategories()).map(c => [c.id, c]));
+    const narrativeData = {};
+    for (const [theme, categoryIds] of Object.entries(this.narratives.categories)) {
+      const matched = categoryIds.map(id => categories.get(id)).filter(Boolean);
+      if (matched.length === 0) continue;
+
+      const coins = new Map();
+      for (const category of matched) {
+        console.log(`   - Fetching top coins of category ${category.id} for ${theme}...`);
+        const response = await this.provider.getMarkets({
+          category: category.id,
+          perPage: this.config.narratives.categoryCoins,
+          vsCurrency: BASE_CURRENCY
+        });
+        if (Array.isArray(response)) {
+          response.forEach(coin => coins.has(coin.id) || coins.set(coin.id, coin));
+        }
+        await this.sleep(this.isPro ? 600 : 2000);
+      }
+
+      const summary = this.summarizeNarratives({ [theme]: [...coins.keys()] }, [...coins.values()])[theme];
+      if (!summary) continue;
+      const marketCap = matched.reduce((sum, c) => sum + c.marketCap, 0);
+      const weightedChange = matched.reduce((sum, c) => sum + c.marketCap * c.marketCapChange24h, 0);
+      narrativeData[theme] = {
+        ...summary,
+        change24h: parseFloat((marketCap > 0 ? weightedChange / marketCap : 0).toFixed(2)),
+        marketCap
+      };
+    }
+    console.log(`✅ Generated data for ${Object.keys(narrativeData).length} narratives from provider categories`);
+    return narrativeData;
+  }
+
+  // Chains each narrative's index levels onto the last snapshot written before dateKey
+  withNarrativeIndex(narrativeData, dateKey) {
+    return applyNarrativeIndex(narrativeData, previousIndexLevels(this.dataDir, dateKey), dateKey);
+  }
+
+  // Categories mode: the theme -> category mapping used, and mapped categories the provider lacks
+  async categoryNarrativeReport() {
+    const { version, source, categories } = this.narratives;
+    const known = new Set((await this.provider.getCategories()).map(c => c.id));
+    const unknownCategories = findUnknownIds(categories, known);
+    for (const { id, themes } of unknownCategories) {
+      console.warn(`⚠️  Unknown provider category "${id}" mapped to ${themes.join(', ')}`);
+    }
+    return {
+      mode: 'categories',
+      version,
+      source,
+      themes: Object.keys(categories).length,
+      categoryMap: categories,
+      unknownCategories
+    };
+  }
+
+  // metadata.narratives: which definitions were used, and ids that are unknown to the provider
+  // or listed under more than one theme
+  async validateNarratives() {
+    const { version, source, narratives, duplicates } = this.narratives;
+    let unknownIds = [];
+    let idsValidated = false;
+    if (this.config.narratives.validateIds) {
+      try {
+        const coinList = await this.provider.getCoinList();
+        unknownIds = findUnknownIds(narratives, new Set(coinList.map(coin => coin.id)));
+        idsValidated = true;
+      } catch (e) {
+        console.warn('⚠️  Narrative ids not validated:', e.message);
+      }
+    }
+    for (const { id, themes } of unknownIds) {
+      console.warn(`⚠️  Unknown narrative coin id "${id}" in ${themes.join(', ')}`);
+    }
+    for (const { id, themes } of duplicates) {
+      console.warn(`⚠️  Narrative coin "${id}" is listed under several themes: ${themes.join(', ')}`);
+    }
+    return {
+      mode: 'curated',
+      version,
+      source,
+      themes: Object.keys(narratives).length,
+      coins: narrativeCoinIds(narratives).length,
+      idsValidated,
+      unknownIds,
+      duplicateIds: duplicates
+    };
+  }
+
+  // Aggregate /coins/markets-shaped records into per-narrative performance
+  summarizeNarratives(narratives, allCoinData) {
+    const narrativeData = {};
+
+    // Create a map of coin data for easy access
+    const coinDataMap = {};
+    allCoinData.forEach(coin => {
+      coinDataMap[coin.id] = {
+        id: coin.id,
+        name: coin.name,
+        symbol: coin.symbol.toUpperCase(),
+        current_price: coin.current_price,
+        price_change_percentage_24h: (coin.price_change_percentage_24h_in_currency ?? coin.price_change_percentage_24h ?? 0),
+        price_change_percentage_7d: (this.get7dChange(coin) ?? 0),
+        market_cap: coin.market_cap || 0,
+        image: coin.image
+      };
+    });
+    
+    // Process each narrative
+    for (const [narrative, coinIds] of Object.entries(narratives)) {
+      const coins = [];
+      let totalMarketCap = 0;
+      let total24hChange = 0;
+      let total7dChange = 0;
+      let coinCount = 0;
+      
+      // Process each coin in the narrative
+      for (const coinId of coinIds) {
+        if (coinDataMap[coinId]) {
+          const coin = coinDataMap[coinId];
+          coins.push(coin);
+          totalMarketCap += coin.market_cap || 0;
+          total24hChange += coin.price_change_percentage_24h || 0;
+          total7dChange += coin.price_change_percentage_7d || 0;
+          coinCount++;
+        }
+      }
+      
+      // Calculate narrative metrics
+      const avg24hChange = coinCount > 0 ? total24hChange / coinCount : 0;
+      const avg7dChange = coinCount > 0 ? total7dChange / coinCount : 0;
+      
+      // Sort coins by 24h performance
+      const sortedCoins = [...coins].sort((a, b) => 
+        (b.price_change_percentage_24h || 0) - (a.price_change_percentage_24h || 0)
+      );
+      
+      // Only include narratives with at least 3 coins
+      if (coinCount >= 3) {
+        narrativeData[narrative] = {
+          change24h: parseFloat(avg24hChange.toFixed(2)),
+          change7d: parseFloat(avg7dChange.toFixed(2)),
+          marketCap: totalMarketCap,
+          coinCount,
+          returns: narrativeReturns(coins.map(coin => ({
+            marketCap: coin.market_cap,
+            change24h: coin.price_change_percentage_24h,
+            change7d: coin.price_change_percentage_7d
+          }))),
+          // Per-member caps, so the cap-weighted index can chain across missing days
+          memberCaps: Object.fromEntries(coins.filter(coin => coin.market_cap > 0).map(coin => [coin.id, coin.market_cap])),
+          topPerformers: sortedCoins.slice(0, 3).map(coin => ({
+            id: coin.id,
+            symbol: coin.symbol,
+            name: coin.name,
+            change24h: coin.price_change_percentage_24h,
+            price: coin.current_price
+          }))
+        };
+      }
+    }
+
+    return narrativeData;
+  }
+
   formatNumber(num, decimals = 2) {
-    if (num >= 1e12) return (num / 1e12).toFixed(decimals) + 'T';
-    if (num >= 1e9) return (num / 1e9).toFixed(decimals) + 'B';
-    if (num >= 1e6) return (num / 1e6).toFixed(decimals) + 'M';
-    if (num >= 1e3) return (num / 1e3).toFixed(decimals) + 'K';
-    return num.toFixed(decimals);
+    return formatNumber(num, decimals);
   }
 
   // Fallback computation for 7d change using sparkline when API omits price_change_percentage_7d_in_currency on FREE
@@ -740,48 +1009,190 @@ class CryptoDataGenerator {
     }
   }
 
+  // btcData and ethData are the bitcoin and ethereum benchmarks, under the keys earlier snapshots used
+  buildDailyData({ date, timestamp, topPerformers, globalMetrics, stablecoins, benchmarks, narrativeData, currencies, emaCrossovers, technicalIndicators, riskMetrics, correlations, correlationBenchmark, correlationMatrix, metadata }) {
+    const topCorrelated = [...correlations].sort((a, b) => b.correlation - a.correlation).slice(0, 10);
+    const topDownsideBeta = [...correlations].sort((a, b) => b.downsideBeta - a.downsideBeta).slice(0, 10);
+    return {
+      date,
+      timestamp,
+      topGainers24h: topPerformers.topGainers24h,
+      topLosers24h: topPerformers.topLosers24h,
+      topGainers7d: topPerformers.topGainers7d,
+      moverFilters: topPerformers.moverFilters,
+      marketCapRanking: topPerformers.allCoins.map(coin => coin.id),
+      globalMetrics,
+      stablecoins,
+      btcData: benchmarks.bitcoin,
+      ethData: benchmarks.ethereum,
+      benchmarks,
+      narrativeData,
+      currencies,
+      emaCrossovers,
+      technicalIndicators,
+      riskMetrics,
+      correlationAnalysis: {
+        benchmark: correlationBenchmark,
+        topCorrelated,
+        topDownsideBeta
+      },
+      correlationMatrix,
+      metadata
+    };
+  }
+
+  // Adds the `changes` section (before metadata) when a snapshot dated before this one exists
+  withChanges(dailyData) {
+    const { enabled, ...options } = this.config.changes;
+    if (!enabled) return dailyData;
+    const previous = loadPreviousSnapshot(dailyData.date, this.dataDir);
+    if (!previous) return dailyData;
+    const { metadata, ...rest } = dailyData;
+    return { ...rest, changes: diffSnapshots(previous, dailyData, options), metadata };
+  }
+
+  // Compact record of every coin in the universe, written to data/markets/ beside the snapshot
+  buildMarketTable(date, timestamp, allCoins) {
+    return buildMarketTable({ date, timestamp, coins: allCoins, change7d: coin => this.get7dChange(coin) });
+  }
+
+  // Save to the dated file and, unless disabled, to latest.json for easy access, plus the
+  // day's market table when given. Nothing is written if either doesn't match its schema.
+  writeSnapshot(dailyData, { updateLatest = true, marketTable = null, correlationMatrix = null } = {}) {
+    const { valid, errors } = validateSnapshot(dailyData);
+    if (!valid) {
+      throw new SnapshotValidationError(dailyData.date, errors);
+    }
+    if (marketTable) {
+      const result = validateMarketTable(marketTable);
+      if (!result.valid) {
+        throw new SnapshotValidationError(marketTable.date, result.errors, MARKET_TABLE_SCHEMA_PATH);
+      }
+    }
+    if (correlationMatrix) {
+      const result = validateCorrelationMatrix(correlationMatrix);
+      if (!result.valid) {
+        throw new SnapshotValidationError(correlationMatrix.date, result.errors, CORRELATION_MATRIX_SCHEMA_PATH);
+      }
+    }
+
+    const dataDir = this.dataDir;
+    this.ensureDirectoryExists(dataDir);
+
+    const filePath = path.join(dataDir, snapshotFileName(dailyData.date));
+    fs.writeFileSync(filePath, JSON.stringify(dailyData, null, 2));
+
+    let latestPath = null;
+    if (updateLatest) {
+      latestPath = path.join(dataDir, 'latest.json');
+      fs.writeFileSync(latestPath, JSON.stringify(dailyData, null, 2));
+    }
+    const marketTablePath = marketTable ? writeMarketTable(dataDir, marketTable) : null;
+    const correlationMatrixPath = correlationMatrix ? writeCorrelationMatrix(dataDir, correlationMatrix) : null;
+    return { filePath, latestPath, marketTablePath, correlationMatrixPath };
+  }
+
+  // PNG charts of a written snapshot, in data/charts/<date>/. A failure is only logged, since the
+  // snapshot is saved and render-charts can draw them again.
+  renderCharts(dailyData) {
+    const { enabled, ...options } = this.config.charts;
+    if (!enabled) return null;
+    try {
+      return writeCharts(this.dataDir, dailyData, options);
+    } catch (e) {
+      console.warn(`⚠️ Charts not rendered: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Markdown and HTML report of a written snapshot, in data/reports/. Like the charts, a failure is
+  // only logged; build-report can write it again.
+  renderReport(dailyData) {
+    const { enabled, ...options } = this.config.reports;
+    if (!enabled) return null;
+    try {
+      return writeReport(this.dataDir, dailyData, options);
+    } catch (e) {
+      console.warn(`⚠️ Report not written: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Checks the alert rules against a snapshot that has been written and sends what fires to the
+  // notifiers. Notifier failures are only logged, since the snapshot is already saved.
+  async runAlerts(dailyData) {
+    if (!this.alertRules) return null;
+    const { rules, notifiers } = this.alertRules;
+    const previous = loadPreviousSnapshot(dailyData.date, this.dataDir);
+    const alerts = evaluateAlerts(rules, dailyData, previous);
+    console.log(`🔔 Alerts: ${alerts.length} fired (${rules.length} rules${previous ? `, compared with ${previous.date}` : ''})`);
+    for (const alert of alerts) console.log(`   - [${alert.severity}] ${alert.message}`);
+    if (alerts.length === 0 || notifiers.length === 0) return { fired: alerts.length, notified: 0 };
+
+    const results = await notifyAll(notifiers, { date: dailyData.date, timestamp: dailyData.timestamp, alerts }, {
+      dataDir: this.dataDir
+    });
+    for (const { type, ok, error } of results) {
+      if (ok) console.log(`📣 Sent to ${type}`);
+      else console.warn(`⚠️ Notifier ${type} failed: ${error}`);
+    }
+    return { fired: alerts.length, notified: results.filter(r => r.ok).length };
+  }
+
   async generateDailyData() {
     try {
       console.log('🚀 Starting daily crypto data generation...');
-      console.log('🔑 API Key configured:', this.API_KEY ? '✅ Yes (Pro Mode)' : '❌ No (Free Mode)');
+      console.log('🔑 API Key configured:', this.isPro ? '✅ Yes (Pro Mode)' : '❌ No (Free Mode)');
       
       const startTime = Date.now();
+      const date = this.provider.resolveRunDate(getDateKeyNY());
       
       // Fetch all required data
       const topPerformers = await this.getTopPerformers();
       const globalMetrics = await this.getGlobalMetrics();
-      const btcData = await this.getBTCData();
-      const ethData = await this.getETHData();
-      const narrativeData = await this.getNarrativeData();
+      const narrativeData = this.withNarrativeIndex(await this.getNarrativeData(), date);
+      const currencies = await this.getCurrencyData(topPerformers, globalMetrics, narrativeData);
+      const narrativeReport = await this.useCategoryNarratives()
+        ? await this.categoryNarrativeReport()
+        : await this.validateNarratives();
       // Compute technical analyses for cache consumers to avoid live API in serverless
-      const emaCrossovers = await this.getEMACrossovers(topPerformers.allCoins);
-      const corrFull = await this.getCorrelationAnalysis(topPerformers.allCoins);
-      const topCorrelated = [...corrFull].sort((a, b) => b.correlation - a.correlation).slice(0, 10);
-      const topDownsideBeta = [...corrFull].sort((a, b) => b.downsideBeta - a.downsideBeta).slice(0, 10);
+      const histories = await this.loadPriceHistories(topPerformers.allCoins);
+      const emaCrossovers = await this.getEMACrossovers(topPerformers.allCoins, histories);
+      const technicalIndicators = this.getTechnicalIndicators(topPerformers.allCoins, histories);
+      const stablecoins = await this.getStablecoinData(topPerformers.allCoins, globalMetrics, histories);
+      const benchmarks = await this.getBenchmarkData(topPerformers.allCoins, histories);
+      const riskMetrics = await this.getRiskMetrics(topPerformers.allCoins, histories);
+      const correlationAnalysis = await this.getCorrelationAnalysis(topPerformers.allCoins, histories, { date, globalMetrics });
       
       // Prepare complete data structure
-      const dailyData = {
-        date: getDateKeyNY(),
-        timestamp: new Date().toISOString(),
-        topGainers24h: topPerformers.topGainers24h,
-        topLosers24h: topPerformers.topLosers24h,
-        topGainers7d: topPerformers.topGainers7d,
+      const timestamp = new Date().toISOString();
+      const marketTable = this.buildMarketTable(date, timestamp, topPerformers.allCoins);
+      const matrix = await this.getCorrelationMatrix(date, timestamp, topPerformers.allCoins, histories);
+      const dailyData = this.withChanges(this.buildDailyData({
+        date,
+        timestamp,
+        topPerformers,
         globalMetrics,
-        btcData,
-        ethData,
+        stablecoins,
+        benchmarks,
         narrativeData,
+        currencies,
         emaCrossovers,
-        correlationAnalysis: {
-          topCorrelated,
-          topDownsideBeta
-        },
+        technicalIndicators,
+        riskMetrics,
+        correlations: correlationAnalysis.correlations,
+        correlationBenchmark: correlationAnalysis.benchmark,
+        correlationMatrix: matrix?.section,
         metadata: {
           totalCoinsAnalyzed: topPerformers.allCoins.length,
-          apiMode: this.API_KEY ? 'pro' : 'free',
+          apiMode: this.provider.apiMode,
+          provider: this.provider.name,
           generatedBy: 'github-actions',
-          version: '2.0'
+          version: '2.1',
+          narratives: narrativeReport,
+          marketTable: { file: marketTableFile(date), coins: marketTable.coins.length }
         }
-      };
+      }));
 
       console.log('📊 Data collection completed:');
       console.log(`   - Top gainers: ${dailyData.topGainers24h.length}`);
@@ -789,23 +1200,29 @@ class CryptoDataGenerator {
       console.log(`   - Weekly winners: ${dailyData.topGainers7d.length}`);
       console.log(`   - BTC price: $${dailyData.btcData.currentPrice?.toLocaleString()}`);
       console.log(`   - ETH price: $${dailyData.ethData.currentPrice?.toLocaleString()}`);
-      console.log(`   - ETH price: $${ethData.currentPrice?.toLocaleString()}`);
       console.log(`   - Market cap: ${this.formatNumber(dailyData.globalMetrics.totalMarketCap)}`);
       console.log(`   - Narratives: ${Object.keys(dailyData.narrativeData).length}`);
+      if (dailyData.changes) {
+        const { previousDate, universe, newEmaSignals } = dailyData.changes;
+        const movers = universe ? `${universe.entered.length} entered, ${universe.left.length} left the ranking, ` : '';
+        console.log(`   - Since ${previousDate}: ${movers}${newEmaSignals.length} new EMA signals`);
+      }
 
-      // Ensure data directory exists
-      const dataDir = path.join(process.cwd(), 'data');
-      this.ensureDirectoryExists(dataDir);
-      
-      // Save to dated file
-      const fileName = `crypto-data-${getDateKeyNY()}.json`;
-      const filePath = path.join(dataDir, fileName);
-      
-      fs.writeFileSync(filePath, JSON.stringify(dailyData, null, 2));
-      
-      // Also save as latest.json for easy access
-      const latestPath = path.join(dataDir, 'latest.json');
-      fs.writeFileSync(latestPath, JSON.stringify(dailyData, null, 2));
+      const { filePath, latestPath, marketTablePath, correlationMatrixPath } = this.writeSnapshot(dailyData, {
+        marketTable,
+        correlationMatrix: matrix?.doc
+      });
+      // Curated lists only; category membership moves with the provider's rankings every day
+      if (narrativeReport.mode === 'curated') {
+        for (const { theme, added, removed, previousVersion } of recordNarrativeChanges(this.dataDir, this.narratives, date)) {
+          console.log(theme === null
+            ? `📝 Narratives version ${previousVersion} → ${this.narratives.version}, no membership changes`
+            : `📝 Narrative ${theme}: ${added.length} joined, ${removed.length} left`);
+        }
+      }
+      const chartPaths = this.renderCharts(dailyData);
+      const reportPaths = this.renderReport(dailyData);
+      const alerts = await this.runAlerts(dailyData);
       
       const endTime = Date.now();
       const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -815,6 +1232,10 @@ class CryptoDataGenerator {
       console.log(`⏱️  Generation time: ${duration} seconds`);
       console.log(`📁 Saved to: ${filePath}`);
       console.log(`📁 Latest: ${latestPath}`);
+      console.log(`📁 Market table: ${marketTablePath}`);
+      if (correlationMatrixPath) console.log(`📁 Correlation matrix: ${correlationMatrixPath}`);
+      if (chartPaths) console.log(`📁 Charts: ${path.dirname(chartPaths[0])} (${chartPaths.length} images)`);
+      if (reportPaths) console.log(`📁 Report: ${reportPaths.join(', ')}`);
       console.log('');
       
       return {
@@ -828,7 +1249,8 @@ class CryptoDataGenerator {
           losers: dailyData.topLosers24h.length,
           weeklyWinners: dailyData.topGainers7d.length,
           narratives: Object.keys(dailyData.narrativeData).length
-        }
+        },
+        alerts
       };
       
     } catch (error) {
@@ -861,4 +1283,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { CryptoDataGenerator, getDateKeyNY };
+module.exports = { CryptoDataGenerator, getDateKeyNY, UNIVERSE_SIZE };
@@ -0,0 +1,75 @@
+const { parseArgs } = require('util');
+const { loadConfig } = require('./lib/config');
+const { HttpDiskCache } = require('./lib/http-cache');
+
+// Inspects or prunes the on-disk HTTP cache (config.httpCache.dir, default .cache/http)
+const USAGE = 'Usage: http-cache <inspect|prune> [--all] [--older-than 7d]';
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function inspect(cache) {
+  const entries = cache.listEntries();
+  if (entries.length === 0) {
+    console.log(`ℹ️  HTTP cache at ${cache.dir} is empty`);
+    return;
+  }
+
+  // One line per provider and TTL rule
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = `${entry.namespace} ${entry.rule}`;
+    const group = groups.get(key) || { namespace: entry.namespace, rule: entry.rule, count: 0, fresh: 0, size: 0, newest: 0 };
+    group.count++;
+    if (entry.fresh) group.fresh++;
+    group.size += entry.size;
+    group.newest = Math.max(group.newest, entry.storedAt || 0);
+    groups.set(key, group);
+  }
+
+  console.log(`💾 HTTP cache at ${cache.dir}`);
+  for (const g of [...groups.values()].sort((a, b) => b.size - a.size)) {
+    const newest = g.newest ? new Date(g.newest).toISOString() : 'n/a';
+    console.log(`   - ${g.namespace} ${g.rule}: ${g.count} entries (${g.fresh} fresh, ${g.count - g.fresh} expired), ${formatBytes(g.size)}, newest ${newest}`);
+  }
+  const fresh = entries.filter(e => e.fresh).length;
+  const size = entries.reduce((sum, e) => sum + e.size, 0);
+  console.log(`📊 Total: ${entries.length} entries (${fresh} fresh), ${formatBytes(size)}`);
+}
+
+function prune(cache, { all, olderThan }) {
+  const removed = cache.prune({ all, olderThan });
+  const size = removed.reduce((sum, e) => sum + e.size, 0);
+  console.log(`🧹 Removed ${removed.length} entries (${formatBytes(size)}) from ${cache.dir}`);
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false },
+      'older-than': { type: 'string' }
+    }
+  });
+  const [command] = positionals;
+  const cache = new HttpDiskCache(loadConfig().httpCache);
+  if (command === 'inspect') {
+    inspect(cache);
+  } else if (command === 'prune') {
+    prune(cache, { all: values.all, olderThan: values['older-than'] });
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(1);
+  }
+}
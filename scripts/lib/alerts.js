@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+// Alert rules live in config/alerts.json (or .yaml/.yml):
+//   { "rules": [{ "id": "btc-capitulation", "path": "btcData.trend", "becomes": "strong_bear" }, ...],
+//     "notifiers": [{ "type": "slack", "url": "${SLACK_WEBHOOK_URL}" }, ...] }
+// A rule's `path` picks values out of the new snapshot: dot-separated keys, with `*` matching every
+// key of an object or every item of a list. Each value that passes all of the rule's conditions
+// fires one alert. `becomes` and `changeAbove` compare with the same path in the previous dated
+// snapshot, so they never fire on the first snapshot. List items matched by `*` are paired with the
+// previous item of the same `id` (or `symbol`), not the one at the same position.
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CONDITIONS = ['equals', 'in', 'above', 'below', 'becomes', 'changeAbove', 'where'];
+const RULE_KEYS = ['id', 'description', 'message', 'severity', 'path', 'maxRank', ...CONDITIONS];
+
+function parseRulesFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (/\.ya?ml$/i.test(filePath)) {
+    return require('yaml').parse(text);
+  }
+  return JSON.parse(text);
+}
+
+function ruleError(rule, index, message) {
+  return `rule ${rule?.id ? `"${rule.id}"` : `#${index + 1}`} ${message}`;
+}
+
+function checkRule(rule, index, seen) {
+  if (!rule || typeof rule !== 'object') return ruleError(rule, index, 'is not an object');
+  if (typeof rule.id !== 'string' || !rule.id) return ruleError(rule, index, 'needs an "id"');
+  if (seen.has(rule.id)) return ruleError(rule, index, 'is defined twice');
+  seen.add(rule.id);
+  if (typeof rule.path !== 'string' || !rule.path) return ruleError(rule, index, 'needs a "path"');
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) return ruleError(rule, index, `has unknown keys: ${unknown.join(', ')}`);
+  if (!CONDITIONS.some(key => key in rule) && rule.maxRank == null) {
+    return ruleError(rule, index, `needs a condition (${CONDITIONS.join(', ')})`);
+  }
+  for (const key of ['above', 'below', 'changeAbove', 'maxRank']) {
+    if (key in rule && typeof rule[key] !== 'number') return ruleError(rule, index, `"${key}" must be a number`);
+  }
+  if ('in' in rule && !Array.isArray(rule.in)) return ruleError(rule, index, '"in" must be a list');
+  if ('where' in rule && (!rule.where || typeof rule.where !== 'object')) {
+    return ruleError(rule, index, '"where" must be an object of field -> condition');
+  }
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    return ruleError(rule, index, `has an unknown severity (expected one of: ${SEVERITIES.join(', ')})`);
+  }
+  return null;
+}
+
+// Returns { source, rules, notifiers }, or null when the file doesn't exist
+function loadAlertRules(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) return null;
+  let doc;
+  try {
+    doc = parseRulesFile(resolved);
+  } catch (e) {
+    throw new Error(`Invalid alert rules file ${resolved}: ${e.message}`);
+  }
+  if (!doc || !Array.isArray(doc.rules)) {
+    throw new Error(`Invalid alert rules file ${resolved}: expected a "rules" list`);
+  }
+  const seen = new Set();
+  const problems = doc.rules.map((rule, i) => checkRule(rule, i, seen)).filter(Boolean);
+  if (doc.notifiers != null && !Array.isArray(doc.notifiers)) problems.push('"notifiers" must be a list');
+  if (problems.length > 0) {
+    throw new Error(`Invalid alert rules file ${resolved}: ${problems.join('; ')}`);
+  }
+  return { source: resolved, rules: doc.rules, notifiers: doc.notifiers || [] };
+}
+
+// Every value at a path expression, as { path, keys, wildcards, value }; `wildcards` are the keys
+// `*` matched
+function resolvePath(doc, expression) {
+  let matches = [{ keys: [], wildcards: [], value: doc }];
+  for (const segment of expression.split('.')) {
+    const next = [];
+    for (const { keys, wildcards, value } of matches) {
+      if (value == null || typeof value !== 'object') continue;
+      if (segment === '*') {
+        for (const key of Object.keys(value)) {
+          next.push({ keys: [...keys, key], wildcards: [...wildcards, key], value: value[key] });
+        }
+      } else if (value[segment] !== undefined) {
+        next.push({ keys: [...keys, segment], wildcards, value: value[segment] });
+      }
+    }
+    matches = next;
+  }
+  return matches.map(({ keys, wildcards, value }) => ({ path: keys.join('.'), keys, wildcards, value }));
+}
+
+// The value in `previous` at the place of a match in `current`. Where `*` picked a list item that
+// has an id or symbol, the previous list's item with the same one is followed instead of the index.
+function previousValue(previous, current, expression, keys) {
+  const segments = expression.split('.');
+  let before = previous;
+  let now = current;
+  for (const [i, key] of keys.entries()) {
+    if (before == null || typeof before !== 'object') return undefined;
+    const item = now[key];
+    const field = ['id', 'symbol'].find(name => item?.[name] != null);
+    if (segments[i] === '*' && Array.isArray(now) && Array.isArray(before) && field) {
+      before = before.find(other => other?.[field] === item[field]);
+    } else {
+      before = before[key];
+    }
+    now = item;
+  }
+  return before;
+}
+
+// A condition is a plain value (equality), a list (one of) or { equals, in, above, below }
+function passes(value, condition) {
+  if (Array.isArray(condition)) return condition.includes(value);
+  if (condition == null || typeof condition !== 'object') return value === condition;
+  if ('equals' in condition && value !== condition.equals) return false;
+  if (condition.in && !condition.in.includes(value)) return false;
+  if (condition.above != null && !(typeof value === 'number' && value > condition.above)) return false;
+  if (condition.below != null && !(typeof value === 'number' && value < condition.below)) return false;
+  return true;
+}
+
+function display(value) {
+  if (typeof value === 'number') return String(parseFloat(value.toFixed(2)));
+  if (value != null && typeof value === 'object') return value.symbol || value.id || JSON.stringify(value);
+  return String(value);
+}
+
+// `{name}` placeholders: subject, value, previous, change, path, and the fields of a matched object
+function renderMessage(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (whole, name) => (vars[name] !== undefined ? display(vars[name]) : whole));
+}
+
+function defaultMessage(rule, alert) {
+  const isObject = alert.value != null && typeof alert.value === 'object';
+  const subject = alert.subject ?? alert.path;
+  let text = `${rule.description || rule.id}: ${subject}`;
+  if (!isObject) text += ` ${display(alert.value)}`;
+  if ('previous' in alert) text += ` (was ${display(alert.previous)})`;
+  return text;
+}
+
+function evaluateRule(rule, current, previous) {
+  const comparesPrevious = 'becomes' in rule || 'changeAbove' in rule;
+  if (comparesPrevious && !previous) return [];
+  const ranks = rule.maxRank != null ? new Map((current.marketCapRanking || []).map((id, i) => [id, i + 1])) : null;
+  const condition = Object.fromEntries(['equals', 'in', 'above', 'below'].filter(key => key in rule).map(key => [key, rule[key]]));
+
+  const alerts = [];
+  for (const { path: matchPath, keys, wildcards, value } of resolvePath(current, rule.path)) {
+    if (!passes(value, condition)) continue;
+    if (rule.where && !Object.entries(rule.where).every(([field, test]) => passes(value?.[field], test))) continue;
+    if (ranks && !(ranks.get(value?.id) <= rule.maxRank)) continue;
+
+    const alert = {
+      rule: rule.id,
+      severity: rule.severity || 'info',
+      path: matchPath,
+      subject: value != null && typeof value === 'object'
+        ? (value.symbol || value.id || null)
+        : (wildcards.length > 0 ? wildcards.join('.') : null),
+      value
+    };
+    if (comparesPrevious) {
+      const before = previousValue(previous, current, rule.path, keys);
+      if ('becomes' in rule && !(value === rule.becomes && before !== rule.becomes)) continue;
+      if ('changeAbove' in rule) {
+        if (typeof value !== 'number' || typeof before !== 'number') continue;
+        const change = parseFloat((value - before).toFixed(4));
+        if (!(Math.abs(change) > rule.changeAbove)) continue;
+        alert.change = change;
+      }
+      alert.previous = before ?? null;
+    }
+    const vars = { ...(value != null && typeof value === 'object' ? value : {}), ...alert, subject: alert.subject ?? matchPath };
+    alert.message = rule.message ? renderMessage(rule.message, vars) : defaultMessage(rule, alert);
+    alerts.push(alert);
+  }
+  return alerts;
+}
+
+// Alerts fired by the rules for `current`; `previous` is the dated snapshot before it, or null
+function evaluateAlerts(rules, current, previous) {
+  return rules.flatMap(rule => evaluateRule(rule, current, previous));
+}
+
+module.exports = {
+  SEVERITIES,
+  loadAlertRules,
+  resolvePath,
+  evaluateAlerts
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const { emaPair } = require('./snapshot-diff');
+
+// Flattens snapshots into tidy tables (one row per date and entity) for pandas/DuckDB.
+// Column names are snake_case and only ever added to; every table starts with `date`.
+// Layout under the export directory:
+//   manifest.json                         exported dates and each table's columns
+//   csv/<table>.csv                       one file per table, in date order
+//   parquet/<table>/<table>-YYYY-MM.parquet  one file per table and month
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const PARQUET_TYPES = { string: 'UTF8', double: 'DOUBLE', int: 'INT32', boolean: 'BOOLEAN' };
+
+const MOVER_LISTS = { topGainers24h: 'gainers_24h', topLosers24h: 'losers_24h', topGainers7d: 'gainers_7d' };
+const CORRELATION_LISTS = { topCorrelated: 'top_correlated', topDownsideBeta: 'top_downside_beta' };
+
+// Loaded on first use, so CSV-only exports don't need it
+const parquetLib = () => require('parquetjs-lite');
+
+const num = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Each table: the columns identifying a row (`key`), columns as [name, type] and
+// rows(snapshot) -> objects keyed by column name
+const TABLES = {
+  global_metrics: {
+    key: ['date'],
+    columns: [
+      ['date', 'string'],
+      ['total_market_cap', 'double'],
+      ['total3_market_cap', 'double'],
+      ['total_volume', 'double'],
+      ['btc_dominance', 'double'],
+      ['eth_dominance', 'double'],
+      ['active_cryptocurrencies', 'int'],
+      ['market_cap_change_24h', 'double']
+    ],
+    rows: ({ date, globalMetrics: g }) => [{
+      date,
+      total_market_cap: num(g.totalMarketCap),
+      total3_market_cap: num(g.total3MarketCap),
+      total_volume: num(g.totalVolume),
+      btc_dominance: num(g.btcDominance),
+      eth_dominance: num(g.ethDominance),
+      active_cryptocurrencies: num(g.activeCryptocurrencies),
+      market_cap_change_24h: num(g.marketCapChange24h)
+    }]
+  },
+  benchmarks: {
+    key: ['date', 'asset'],
+    columns: [
+      ['date', 'string'],
+      ['asset', 'string'],
+      ['price', 'double'],
+      ['change_24h', 'double'],
+      ['market_cap', 'double'],
+      ['trend', 'string']
+    ],
+    // Every benchmark asset; snapshots from before the benchmarks section have BTC and ETH only
+    rows: snapshot => (snapshot.benchmarks
+      ? Object.values(snapshot.benchmarks).map(data => [data.symbol, data])
+      : [['BTC', snapshot.btcData], ['ETH', snapshot.ethData]])
+      .filter(([, data]) => data)
+      .map(([asset, data]) => ({
+        date: snapshot.date,
+        asset,
+        price: num(data.currentPrice),
+        change_24h: num(data.priceChange24h),
+        market_cap: num(data.marketCap),
+        trend: data.trend
+      }))
+  },
+  top_movers: {
+    key: ['date', 'list', 'id'],
+    columns: [
+      ['date', 'string'],
+      ['list', 'string'],
+      ['position', 'int'],
+      ['id', 'string'],
+      ['symbol', 'string'],
+      ['name', 'string'],
+      ['price', 'double'],
+      ['market_cap', 'double'],
+      ['market_cap_rank', 'int'],
+      ['volume_24h', 'double'],
+      ['change_24h', 'double'],
+      ['change_7d', 'double']
+    ],
+    rows: snapshot => Object.entries(MOVER_LISTS).flatMap(([key, list]) =>
+      (snapshot[key] || []).map((coin, i) => ({
+        date: snapshot.date,
+        list,
+        position: i + 1,
+        id: coin.id,
+        symbol: (coin.symbol || '').toUpperCase(),
+        name: coin.name,
+        price: num(coin.current_price),
+        market_cap: num(coin.market_cap),
+        market_cap_rank: num(coin.market_cap_rank),
+        volume_24h: num(coin.total_volume),
+        change_24h: num(coin.price_change_percentage_24h_in_currency ?? coin.price_change_percentage_24h),
+        change_7d: num(coin._7d ?? coin.price_change_percentage_7d_in_currency)
+      })))
+  },
+  narratives: {
+    key: ['date', 'theme'],
+    columns: [
+      ['date', 'string'],
+      ['theme', 'string'],
+      ['coin_count', 'int'],
+      ['market_cap', 'double'],
+      ['change_24h', 'double'],
+      ['change_7d', 'double'],
+      ['cap_weighted_change_24h', 'double'],
+      ['cap_weighted_change_7d', 'double'],
+      ['index_equal_weighted', 'double'],
+      ['index_cap_weighted', 'double'],
+      ['index_base_date', 'string']
+    ],
+    rows: snapshot => Object.entries(snapshot.narrativeData || {}).map(([theme, n]) => ({
+      date: snapshot.date,
+      theme,
+      coin_count: n.coinCount,
+      market_cap: num(n.marketCap),
+      change_24h: num(n.change24h),
+      change_7d: num(n.change7d),
+      cap_weighted_change_24h: num(n.returns?.capWeighted.change24h),
+      cap_weighted_change_7d: num(n.returns?.capWeighted.change7d),
+      index_equal_weighted: num(n.index?.equalWeighted),
+      index_cap_weighted: num(n.index?.capWeighted),
+      index_base_date: n.index?.baseDate ?? null
+    }))
+  },
+  // Only entries with a crossover inside the lookback window
+  ema_signals: {
+    key: ['date', 'id', 'pair'],
+    columns: [
+      ['date', 'string'],
+      ['id', 'string'],
+      ['symbol', 'string'],
+      ['name', 'string'],
+      ['pair', 'string'],
+      ['ema_fast', 'double'],
+      ['ema_slow', 'double'],
+      ['spread_percent', 'double'],
+      ['signal', 'string'],
+      ['days_ago', 'int'],
+      ['crossover_date', 'string']
+    ],
+    rows: snapshot => (snapshot.emaCrossovers || [])
+      .filter(e => e.signal !== 'none')
+      .map(e => {
+        const pair = emaPair(e);
+        const [fast, slow] = pair.split('/');
+        return {
+          date: snapshot.date,
+          id: e.id,
+          symbol: (e.symbol || '').toUpperCase(),
+          name: e.name,
+          pair,
+          ema_fast: num(e[`ema${fast}`]),
+          ema_slow: num(e[`ema${slow}`]),
+          spread_percent: num(e.spreadPercent),
+          signal: e.signal,
+          days_ago: num(e.daysAgo),
+          crossover_date: e.crossoverDate ?? null
+        };
+      })
+  },
+  correlations: {
+    key: ['date', 'list', 'id'],
+    columns: [
+      ['date', 'string'],
+      ['list', 'string'],
+      ['position', 'int'],
+      ['id', 'string'],
+      ['symbol', 'string'],
+      ['name', 'string'],
+      ['price', 'double'],
+      ['market_cap', 'double'],
+      ['change_24h', 'double'],
+      ['correlation', 'double'],
+      ['beta', 'double'],
+      ['downside_beta', 'double']
+    ],
+    rows: snapshot => Object.entries(CORRELATION_LISTS).flatMap(([key, list]) =>
+      (snapshot.correlationAnalysis?.[key] || []).map((c, i) => ({
+        date: snapshot.date,
+        list,
+        position: i + 1,
+        id: c.id,
+        symbol: (c.symbol || '').toUpperCase(),
+        name: c.name,
+        price: num(c.currentPrice),
+        market_cap: num(c.marketCap),
+        change_24h: num(c.priceChange24h),
+        correlation: num(c.correlation),
+        beta: num(c.beta),
+        downside_beta: num(c.downsideBeta)
+      })))
+  }
+};
+
+function columnNames(table) {
+  return TABLES[table].columns.map(([name]) => name);
+}
+
+function loadManifest(outDir) {
+  const manifestPath = path.join(outDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function saveManifest(outDir, manifest) {
+  const manifestPath = path.join(outDir, MANIFEST_FILE);
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+// An incremental run can only append if every table still has the columns it was written with
+function checkManifest(manifest, formats) {
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Export manifest version ${manifest.version} is not supported; rerun with --full`);
+  }
+  for (const table of Object.keys(TABLES)) {
+    const previous = manifest.tables[table]?.columns;
+    if (!previous || previous.join(',') !== columnNames(table).join(',')) {
+      throw new Error(`Columns of table "${table}" changed since the last export; rerun with --full`);
+    }
+  }
+  const missing = formats.filter(f => !manifest.formats.includes(f));
+  if (missing.length > 0) {
+    throw new Error(`Existing export has no ${missing.join(', ')} output; rerun with --full`);
+  }
+}
+
+function csvValue(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Records of a CSV written by writeCsv, header first; a quoted value may span lines. A last
+// record without its newline was cut short by an interrupted write and is left out.
+function csvRecords(text) {
+  const records = [];
+  let pending = null;
+  const lines = text.split('\n');
+  lines.pop();
+  for (const line of lines) {
+    const record = pending == null ? line : `${pending}\n${line}`;
+    if ((record.match(/"/g) || []).length % 2 === 1) {
+      pending = record;
+    } else {
+      pending = null;
+      if (record) records.push(record);
+    }
+  }
+  return records;
+}
+
+// A record's fields as written (still quoted), so they compare equal to csvValue output
+function csvFields(record) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (const char of record) {
+    if (char === '"') quoted = !quoted;
+    if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+const recordDate = record => record.slice(0, record.indexOf(','));
+
+function rowKey(table, row) {
+  return TABLES[table].key.map(column => csvValue(row[column])).join(',');
+}
+
+// Appends a table's rows to its CSV. Rows already in the file (same key, e.g. from a run that
+// stopped before saving its manifest) are replaced, and rows dated before the file's last date
+// are put in place; either case rewrites the file through a temporary file instead.
+function writeCsv(filePath, table, rows) {
+  const columns = columnNames(table);
+  const header = columns.join(',');
+  const lines = rows.map(row => columns.map(c => csvValue(row[c])).join(','));
+  const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  const [existingHeader, ...existing] = csvRecords(text);
+  if (existingHeader != null && existingHeader !== header) {
+    throw new Error(`Columns of ${filePath} don't match table "${table}"; rerun with --full`);
+  }
+
+  const keyIndexes = TABLES[table].key.map(column => columns.indexOf(column));
+  const recordKey = record => {
+    const fields = csvFields(record);
+    return keyIndexes.map(i => fields[i]).join(',');
+  };
+  const newKeys = new Set(rows.map(row => rowKey(table, row)));
+  const lastDate = existing.length > 0 ? recordDate(existing[existing.length - 1]) : '';
+  const complete = text === '' || text === [existingHeader, ...existing].join('\n') + '\n';
+  const canAppend = complete &&
+    rows.every(row => row.date >= lastDate) &&
+    !existing.some(record => newKeys.has(recordKey(record)));
+
+  if (canAppend) {
+    const prefix = text === '' ? `${header}\n` : '';
+    if (prefix || lines.length > 0) fs.appendFileSync(filePath, prefix + lines.map(line => `${line}\n`).join(''));
+    return;
+  }
+  const records = [...existing.filter(record => !newKeys.has(recordKey(record))), ...lines];
+  records.sort((a, b) => recordDate(a).localeCompare(recordDate(b)));
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, [header, ...records].join('\n') + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
+
+function parquetSchema(table) {
+  const parquet = parquetLib();
+  const fields = {};
+  for (const [name, type] of TABLES[table].columns) {
+    fields[name] = { type: PARQUET_TYPES[type], optional: name !== 'date' };
+  }
+  return new parquet.ParquetSchema(fields);
+}
+
+async function readParquet(filePath) {
+  const parquet = parquetLib();
+  const reader = await parquet.ParquetReader.openFile(filePath);
+  const rows = [];
+  const cursor = reader.getCursor();
+  let row;
+  while ((row = await cursor.next())) rows.push(row);
+  await reader.close();
+  return rows;
+}
+
+// Parquet files can't be appended to, so a month that gains rows is rewritten with its old rows;
+// as with CSV, new rows replace old ones with the same key
+async function writeParquetMonth(filePath, table, rows) {
+  const parquet = parquetLib();
+  const existing = fs.existsSync(filePath) ? await readParquet(filePath) : [];
+  const newKeys = new Set(rows.map(row => rowKey(table, row)));
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const writer = await parquet.ParquetWriter.openFile(parquetSchema(table), tmpPath);
+  const merged = [...existing.filter(row => !newKeys.has(rowKey(table, row))), ...rows]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  for (const row of merged) {
+    const clean = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (value != null) clean[key] = value;
+    }
+    await writer.appendRow(clean);
+  }
+  await writer.close();
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Adds rows for `snapshots` to every table. Returns row counts per table.
+async function exportSnapshots(outDir, snapshots, { formats }) {
+  const counts = {};
+  for (const [table, { rows }] of Object.entries(TABLES)) {
+    const tableRows = snapshots.flatMap(rows);
+    counts[table] = tableRows.length;
+
+    if (formats.includes('csv')) {
+      fs.mkdirSync(path.join(outDir, 'csv'), { recursive: true });
+      writeCsv(path.join(outDir, 'csv', `${table}.csv`), table, tableRows);
+    }
+    if (formats.includes('parquet')) {
+      const tableDir = path.join(outDir, 'parquet', table);
+      fs.mkdirSync(tableDir, { recursive: true });
+      const byMonth = new Map();
+      for (const row of tableRows) {
+        const month = row.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(row);
+      }
+      for (const [month, monthRows] of byMonth) {
+        await writeParquetMonth(path.join(tableDir, `${table}-${month}.parquet`), table, monthRows);
+      }
+    }
+  }
+  return counts;
+}
+
+function newManifest(formats) {
+  const tables = {};
+  for (const table of Object.keys(TABLES)) tables[table] = { columns: columnNames(table) };
+  return { version: MANIFEST_VERSION, formats, tables, dates: [] };
+}
+
+module.exports = {
+  TABLES,
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  checkManifest,
+  newManifest,
+  exportSnapshots
+};
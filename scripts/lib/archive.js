@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helpers for the dated snapshot archive in data/
+const SNAPSHOT_FILE_PATTERN = /^crypto-data-(\d{4}-\d{2}-\d{2})\.json$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function defaultDataDir() {
+  return path.join(process.cwd(), 'data');
+}
+
+function snapshotFileName(dateKey) {
+  return `crypto-data-${dateKey}.json`;
+}
+
+// A real calendar day: Date.parse rolls 2026-02-31 over to March, so the key must survive a round trip
+function isDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Date keys are calendar days, so shift them in UTC to stay clear of DST
+function shiftDateKey(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function dateKeyToTimestamp(dateKey) {
+  return Date.parse(`${dateKey}T00:00:00Z`);
+}
+
+// Inclusive list of date keys between two dates
+function dateRange(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = shiftDateKey(d, 1)) {
+    dates.push(d);
+  }
+  return dates;
+}
+
+function listSnapshotDates(dataDir = defaultDataDir()) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs.readdirSync(dataDir)
+    .map(name => SNAPSHOT_FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+function loadSnapshot(dateKey, dataDir = defaultDataDir()) {
+  const filePath = path.join(dataDir, snapshotFileName(dateKey));
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// The newest snapshot dated before dateKey, or null
+function loadPreviousSnapshot(dateKey, dataDir = defaultDataDir()) {
+  const previousDate = listSnapshotDates(dataDir).filter(d => d < dateKey).pop();
+  return previousDate ? loadSnapshot(previousDate, dataDir) : null;
+}
+
+module.exports = {
+  SNAPSHOT_FILE_PATTERN,
+  DAY_MS,
+  defaultDataDir,
+  snapshotFileName,
+  isDateKey,
+  shiftDateKey,
+  dateKeyToTimestamp,
+  dateRange,
+  listSnapshotDates,
+  loadSnapshot,
+  loadPreviousSnapshot
+};
@@ -0,0 +1,78 @@
+// Benchmark assets (config.benchmarks): the `benchmarks` section, keyed by coin id, and the
+// btcData/ethData entries, which are the bitcoin and ethereum benchmarks. Stats come from the
+// coin's /coins/markets row and its daily closes.
+const REQUIRED_BENCHMARKS = ['bitcoin', 'ethereum'];
+
+const round = (value, digits = 2) => (value == null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+
+// Configured assets with bitcoin and ethereum first, since btcData and ethData are always written
+function benchmarkIds(assets = []) {
+  return [...new Set([...REQUIRED_BENCHMARKS, ...assets])];
+}
+
+// thresholds: { mild, strong } in percent; the negatives are the bearish buckets
+function classifyTrend(priceChange24h, { mild = 0.5, strong = 2 } = {}) {
+  if (priceChange24h > strong) return 'strong_bull';
+  if (priceChange24h > mild) return 'bullish';
+  if (priceChange24h < -strong) return 'strong_bear';
+  if (priceChange24h < -mild) return 'bearish';
+  return 'neutral';
+}
+
+// Change from the close `days` bars before the last one
+function changeOver(closes, days) {
+  if (!closes || closes.length <= days) return null;
+  const base = closes[closes.length - 1 - days];
+  return base ? ((closes[closes.length - 1] - base) / base) * 100 : null;
+}
+
+// Annualized standard deviation of daily log returns over the last `days` bars, in percent
+function realizedVolatility(closes, days) {
+  if (!closes || closes.length < 3) return null;
+  const window = closes.slice(-(days + 1));
+  const returns = [];
+  for (let i = 1; i < window.length; i++) {
+    if (window[i - 1] > 0 && window[i] > 0) returns.push(Math.log(window[i] / window[i - 1]));
+  }
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * 365) * 100;
+}
+
+// coin: the asset's markets row; closes: daily closes, oldest first, or null; change7d: the
+// generator's 7d change (it falls back to the sparkline)
+function benchmarkStats(coin, closes, { trend, volatilityDays, change7d }) {
+  const currentPrice = coin.current_price || 0;
+  const priceChange24h = coin.price_change_percentage_24h || 0;
+  const high24h = coin.high_24h ?? null;
+  const low24h = coin.low_24h ?? null;
+  const athDistance = coin.ath_change_percentage ?? (coin.ath ? ((currentPrice - coin.ath) / coin.ath) * 100 : null);
+  return {
+    id: coin.id,
+    symbol: (coin.symbol || '').toUpperCase(),
+    name: coin.name,
+    currentPrice,
+    priceChange24h,
+    priceChange7d: round(change7d ?? changeOver(closes, 7)),
+    priceChange30d: round(changeOver(closes, 30)),
+    marketCap: coin.market_cap || 0,
+    volume24h: coin.total_volume ?? null,
+    high24h,
+    low24h,
+    range24h: high24h != null && low24h > 0 ? round(((high24h - low24h) / low24h) * 100) : null,
+    ath: coin.ath ?? null,
+    athDate: coin.ath_date ?? null,
+    athDistance: round(athDistance),
+    realizedVolatility: round(realizedVolatility(closes, volatilityDays)),
+    trend: classifyTrend(priceChange24h, trend)
+  };
+}
+
+module.exports = {
+  REQUIRED_BENCHMARKS,
+  benchmarkIds,
+  classifyTrend,
+  realizedVolatility,
+  benchmarkStats
+};
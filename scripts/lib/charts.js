@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const { formatNumber, formatPercent } = require('./format');
+
+// PNG charts of a snapshot, written to <dataDir>/charts/YYYY-MM-DD/ under fixed file names so
+// other pipelines can pick them up:
+//   top-movers.png         24h gainers and losers as horizontal bars
+//   narrative-heatmap.png  24h and 7d change of every narrative
+//   dominance-gauge.png    BTC, ETH, stablecoin and other shares of the total market cap
+//   ema-crossovers.png     recent EMA crossovers, largest coins first
+// @napi-rs/canvas is only loaded when a chart is drawn.
+const CHARTS_DIR = 'charts';
+const CHART_FILES = {
+  movers: 'top-movers.png',
+  narratives: 'narrative-heatmap.png',
+  dominance: 'dominance-gauge.png',
+  emaCrossovers: 'ema-crossovers.png'
+};
+
+const THEME = {
+  background: '#0f172a',
+  panel: '#1e293b',
+  grid: '#334155',
+  text: '#f1f5f9',
+  muted: '#94a3b8',
+  up: [34, 197, 94],
+  down: [239, 68, 68],
+  btc: '#f7931a',
+  eth: '#627eea',
+  stablecoins: '#26a17b',
+  others: '#64748b'
+};
+// Font-family list; the generic sans-serif alone resolves to a serif face on some Linux images
+const FONT = 'Helvetica, Arial, "DejaVu Sans", "Liberation Sans", sans-serif';
+const PAD = 40;
+const HEADER = 120;
+const FOOTER = 50;
+
+const rgb = ([r, g, b], alpha = 1) => `rgba(${r}, ${g}, ${b}, ${alpha})`;
+
+// Relative to the data directory
+function chartDir(dateKey) {
+  return `${CHARTS_DIR}/${dateKey}`;
+}
+
+function createChart(width, height, title, subtitle) {
+  const { createCanvas } = require('@napi-rs/canvas');
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = THEME.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = THEME.text;
+  ctx.font = `bold 32px ${FONT}`;
+  ctx.fillText(title, PAD, 56);
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `20px ${FONT}`;
+  ctx.fillText(subtitle, PAD, 90);
+  return { canvas, ctx, width, height };
+}
+
+function finishChart({ canvas, ctx, width, height }, snapshot) {
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `16px ${FONT}`;
+  ctx.fillText(`Data as of ${snapshot.timestamp.slice(0, 16).replace('T', ' ')} UTC`, width - PAD, height - 20);
+  return canvas.toBuffer('image/png');
+}
+
+function emptyMessage({ ctx, width }, text, y) {
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `22px ${FONT}`;
+  ctx.fillText(text, width / 2, y);
+}
+
+// Shortens text with an ellipsis until it fits maxWidth
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let cut = text;
+  while (cut.length > 1 && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1);
+  return `${cut}…`;
+}
+
+function coinLabel(coin) {
+  return (coin.symbol || coin.id || '').toUpperCase();
+}
+
+function renderMovers(snapshot, { width, topMovers }) {
+  const change = coin => coin.price_change_percentage_24h ?? 0;
+  const gainers = (snapshot.topGainers24h || []).slice(0, topMovers);
+  const losers = (snapshot.topLosers24h || []).slice(0, topMovers);
+  const rows = [...gainers, ...losers];
+  const rowHeight = 36;
+  const gap = gainers.length > 0 && losers.length > 0 ? 24 : 0;
+  const height = HEADER + Math.max(rows.length, 2) * rowHeight + gap + FOOTER + 20;
+  const chart = createChart(width, height, 'Top movers (24h)', `${snapshot.date} · ${gainers.length} gainers, ${losers.length} losers`);
+  const { ctx } = chart;
+  if (rows.length === 0) {
+    emptyMessage(chart, 'No movers', HEADER + rowHeight);
+    return finishChart(chart, snapshot);
+  }
+
+  const labelWidth = 260;
+  const plotLeft = PAD + labelWidth;
+  const plotRight = width - PAD;
+  const zero = (plotLeft + plotRight) / 2;
+  const half = (plotRight - plotLeft) / 2 - 100; // room for the value labels
+  const maxAbs = Math.max(...rows.map(coin => Math.abs(change(coin))), 1);
+
+  rows.forEach((coin, i) => {
+    const y = HEADER + i * rowHeight + (i >= gainers.length ? gap : 0);
+    const value = change(coin);
+    const length = Math.max((Math.abs(value) / maxAbs) * half, 2);
+    ctx.fillStyle = rgb(value >= 0 ? THEME.up : THEME.down);
+    ctx.fillRect(value >= 0 ? zero : zero - length, y + 6, length, rowHeight - 12);
+
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = THEME.text;
+    ctx.font = `bold 20px ${FONT}`;
+    const symbol = coinLabel(coin);
+    ctx.fillText(symbol, PAD, y + rowHeight / 2);
+    const symbolWidth = ctx.measureText(symbol).width;
+    ctx.fillStyle = THEME.muted;
+    ctx.font = `16px ${FONT}`;
+    ctx.fillText(fitText(ctx, coin.name || '', labelWidth - symbolWidth - 24), PAD + symbolWidth + 10, y + rowHeight / 2);
+
+    ctx.fillStyle = THEME.text;
+    ctx.font = `18px ${FONT}`;
+    ctx.textAlign = value >= 0 ? 'left' : 'right';
+    ctx.fillText(formatPercent(value), value >= 0 ? zero + length + 8 : zero - length - 8, y + rowHeight / 2);
+  });
+
+  ctx.strokeStyle = THEME.grid;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(zero, HEADER - 4);
+  ctx.lineTo(zero, HEADER + rows.length * rowHeight + gap + 4);
+  ctx.stroke();
+  return finishChart(chart, snapshot);
+}
+
+function renderNarratives(snapshot, { width }) {
+  const columns = [['change24h', '24h'], ['change7d', '7d']];
+  const themes = Object.entries(snapshot.narrativeData || {})
+    .sort(([, a], [, b]) => (b.change24h ?? -Infinity) - (a.change24h ?? -Infinity));
+  const rowHeight = 48;
+  const height = HEADER + 40 + Math.max(themes.length, 2) * rowHeight + FOOTER + 20;
+  const chart = createChart(width, height, 'Narrative performance', `${snapshot.date} · equal-weighted change, best 24h first`);
+  const { ctx } = chart;
+  if (themes.length === 0) {
+    emptyMessage(chart, 'No narratives', HEADER + rowHeight);
+    return finishChart(chart, snapshot);
+  }
+
+  const nameWidth = 320;
+  const cellWidth = (width - 2 * PAD - nameWidth) / columns.length;
+  // Colour intensity is relative to the largest move in each column
+  const scales = columns.map(([key]) => Math.max(...themes.map(([, data]) => Math.abs(data[key] ?? 0)), 1));
+
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `bold 18px ${FONT}`;
+  columns.forEach(([, label], c) => ctx.fillText(label, PAD + nameWidth + (c + 0.5) * cellWidth, HEADER + 16));
+
+  themes.forEach(([theme, data], i) => {
+    const y = HEADER + 40 + i * rowHeight;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = THEME.text;
+    ctx.font = `bold 20px ${FONT}`;
+    ctx.fillText(fitText(ctx, theme, nameWidth - 20), PAD, y + rowHeight / 2);
+
+    columns.forEach(([key], c) => {
+      const x = PAD + nameWidth + c * cellWidth;
+      const value = data[key];
+      const intensity = value == null ? 0 : Math.min(Math.abs(value) / scales[c], 1);
+      ctx.fillStyle = THEME.panel;
+      ctx.fillRect(x + 2, y + 2, cellWidth - 4, rowHeight - 4);
+      if (intensity > 0) {
+        ctx.fillStyle = rgb(value >= 0 ? THEME.up : THEME.down, 0.15 + 0.75 * intensity);
+        ctx.fillRect(x + 2, y + 2, cellWidth - 4, rowHeight - 4);
+      }
+      ctx.textAlign = 'center';
+      ctx.fillStyle = THEME.text;
+      ctx.font = `20px ${FONT}`;
+      ctx.fillText(formatPercent(value), x + cellWidth / 2, y + rowHeight / 2);
+    });
+  });
+  return finishChart(chart, snapshot);
+}
+
+function renderDominance(snapshot, { width }) {
+  const metrics = snapshot.globalMetrics || {};
+  const dominance = snapshot.changes?.dominance || {};
+  const stablecoinShare = snapshot.stablecoins?.shareOfMarketCap ?? null;
+  const segments = [
+    { label: 'Bitcoin', share: metrics.btcDominance, color: THEME.btc, change: dominance.btc?.change },
+    { label: 'Ethereum', share: metrics.ethDominance, color: THEME.eth, change: dominance.eth?.change },
+    ...(stablecoinShare != null ? [{ label: 'Stablecoins', share: stablecoinShare, color: THEME.stablecoins }] : [])
+  ].filter(s => Number.isFinite(s.share));
+  const known = segments.reduce((sum, s) => sum + s.share, 0);
+  segments.push({ label: 'Others', share: Math.max(100 - known, 0), color: THEME.others });
+
+  const height = 560;
+  const subtitle = `${snapshot.date} · total market cap $${formatNumber(metrics.totalMarketCap || 0)}`
+    + (metrics.marketCapChange24h != null ? ` (${formatPercent(metrics.marketCapChange24h)} 24h)` : '');
+  const chart = createChart(width, height, 'Market dominance', subtitle);
+  const { ctx } = chart;
+
+  const radius = 230;
+  const centerX = PAD + radius + 40;
+  const centerY = HEADER + radius + 60;
+  const thickness = 70;
+  let start = Math.PI;
+  ctx.lineWidth = thickness;
+  for (const segment of segments) {
+    const end = start + (segment.share / 100) * Math.PI;
+    ctx.strokeStyle = segment.color;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, start, end);
+    ctx.stroke();
+    start = end;
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = THEME.text;
+  ctx.font = `bold 56px ${FONT}`;
+  ctx.fillText(`${(metrics.btcDominance ?? 0).toFixed(2)}%`, centerX, centerY - 30);
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `22px ${FONT}`;
+  ctx.fillText('BTC dominance', centerX, centerY + 4);
+
+  const legendX = centerX + radius + 120;
+  segments.forEach((segment, i) => {
+    const y = HEADER + 70 + i * 80;
+    ctx.fillStyle = segment.color;
+    ctx.fillRect(legendX, y, 28, 28);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = THEME.text;
+    ctx.font = `bold 24px ${FONT}`;
+    ctx.fillText(`${segment.label}  ${segment.share.toFixed(2)}%`, legendX + 44, y);
+    if (segment.change != null) {
+      ctx.fillStyle = rgb(segment.change >= 0 ? THEME.up : THEME.down);
+      ctx.font = `18px ${FONT}`;
+      ctx.fillText(`${segment.change >= 0 ? '+' : ''}${segment.change.toFixed(2)} pts since ${snapshot.changes.previousDate}`, legendX + 44, y + 34);
+    }
+  });
+  return finishChart(chart, snapshot);
+}
+
+function renderEmaCrossovers(snapshot, { width, emaRows }) {
+  const ranks = new Map((snapshot.marketCapRanking || []).map((id, i) => [id, i + 1]));
+  const fresh = new Set((snapshot.changes?.newEmaSignals || []).map(s => `${s.id}|${s.pair}|${s.signal}`));
+  const signals = (snapshot.emaCrossovers || [])
+    .filter(e => e.signal && e.signal !== 'none')
+    .map(e => ({ ...e, rank: ranks.get(e.id) ?? null }))
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || (a.daysAgo ?? 0) - (b.daysAgo ?? 0));
+  const rows = signals.slice(0, emaRows);
+  const rowHeight = 40;
+  const height = HEADER + 44 + Math.max(rows.length, 2) * rowHeight + FOOTER + 20;
+  const more = signals.length > rows.length ? `, largest ${rows.length} shown` : '';
+  const chart = createChart(width, height, 'EMA crossovers', `${snapshot.date} · ${signals.length} recent crossovers${more}`);
+  const { ctx } = chart;
+  if (rows.length === 0) {
+    emptyMessage(chart, 'No recent crossovers', HEADER + rowHeight);
+    return finishChart(chart, snapshot);
+  }
+
+  const columns = [
+    { label: 'Rank', x: 0, value: e => (e.rank != null ? `#${e.rank}` : '–') },
+    { label: 'Coin', x: 90, value: e => coinLabel(e) },
+    { label: 'Pair', x: 260, value: e => e.pair || '' },
+    { label: 'Signal', x: 390, value: e => e.signal },
+    { label: 'Crossed', x: 580, value: e => (e.crossoverDate ? `${e.crossoverDate} (${e.daysAgo}d ago)` : `${e.daysAgo ?? '?'}d ago`) },
+    { label: 'Spread', x: 850, value: e => formatPercent(e.spreadPercent) },
+    { label: '24h', x: 990, value: e => formatPercent(e.priceChange24h) }
+  ];
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = THEME.muted;
+  ctx.font = `bold 18px ${FONT}`;
+  for (const column of columns) ctx.fillText(column.label, PAD + column.x, HEADER + 18);
+
+  rows.forEach((entry, i) => {
+    const y = HEADER + 44 + i * rowHeight;
+    if (i % 2 === 0) {
+      ctx.fillStyle = THEME.panel;
+      ctx.fillRect(PAD - 10, y, width - 2 * PAD + 20, rowHeight);
+    }
+    for (const column of columns) {
+      const text = column.value(entry);
+      ctx.font = `${column.label === 'Coin' ? 'bold ' : ''}20px ${FONT}`;
+      ctx.fillStyle = column.label === 'Signal' ? rgb(entry.signal === 'bullish' ? THEME.up : THEME.down) : THEME.text;
+      ctx.fillText(text, PAD + column.x, y + rowHeight / 2);
+      if (column.label === 'Signal' && fresh.has(`${entry.id}|${entry.pair}|${entry.signal}`)) {
+        const x = PAD + column.x + ctx.measureText(text).width + 10;
+        ctx.fillStyle = THEME.btc;
+        ctx.font = `bold 14px ${FONT}`;
+        ctx.fillText('NEW', x, y + rowHeight / 2);
+      }
+    }
+  });
+  return finishChart(chart, snapshot);
+}
+
+const RENDERERS = {
+  movers: renderMovers,
+  narratives: renderNarratives,
+  dominance: renderDominance,
+  emaCrossovers: renderEmaCrossovers
+};
+
+// Draws every chart of a snapshot and writes them to <dataDir>/charts/<date>/; returns the paths
+function writeCharts(dataDir, snapshot, { width = 1200, topMovers = 10, emaRows = 20 } = {}) {
+  const dir = path.join(dataDir, chartDir(snapshot.date));
+  fs.mkdirSync(dir, { recursive: true });
+  return Object.entries(RENDERERS).map(([name, render]) => {
+    const filePath = path.join(dir, CHART_FILES[name]);
+    fs.writeFileSync(filePath, render(snapshot, { width, topMovers, emaRows }));
+    return filePath;
+  });
+}
+
+module.exports = {
+  CHARTS_DIR,
+  CHART_FILES,
+  chartDir,
+  writeCharts
+};
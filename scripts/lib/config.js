@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+
+// Defaults for every tunable; config/market-data.json (or $MARKET_DATA_CONFIG) overrides any subset
+const DEFAULT_CONFIG = {
+  // Where dated snapshots and latest.json are written
+  dataDir: 'data',
+  // Record live HTTP responses ('record') or serve a run entirely from them ('replay')
+  httpFixtures: {
+    mode: 'off',
+    dir: 'fixtures/http'
+  },
+  // On-disk response cache shared across runs. TTLs are per endpoint ('*' matches one path
+  // segment): '30s', '5m', '12h', '7d', or 'day' for "until the end of the UTC day".
+  httpCache: {
+    enabled: true,
+    dir: '.cache/http',
+    defaultTtl: '5m',
+    ttls: {
+      '/coins/*/market_chart': 'day',
+      '/coins/*/market_chart/range': '7d',
+      '/coins/*/history': '30d',
+      '/tickers/*/historical': 'day',
+      '/v2/cryptocurrency/quotes/historical': 'day',
+      '/v1/global-metrics/quotes/historical': 'day',
+      '/global/market_cap_chart': 'day',
+      '/coins/list': '1d',
+      '/v1/cryptocurrency/map': '1d'
+    }
+  },
+  // Quote currencies (CoinGecko vs_currency codes). USD is always included and stays the
+  // currency of every top-level field; others add a block to the `currencies` section.
+  currencies: ['usd'],
+  // Screens applied before ranking the mover lists. Coins in the `excludeCategories` provider
+  // categories, or below any of the minimums (USD; 0 turns a rule off), are left out.
+  movers: {
+    minMarketCap: 10000000,
+    minVolume24h: 1000000,
+    minVolumeToMarketCap: 0.005,
+    excludeCategories: ['stablecoins', 'wrapped-tokens', 'bridged-tokens']
+  },
+  // Benchmark assets (CoinGecko ids) in the `benchmarks` section; bitcoin and ethereum are always
+  // included, as btcData/ethData. Realized volatility is over the last `volatilityDays` daily closes.
+  // The trend is bullish/bearish past ±`trend.mild` percent in 24h, and strong past ±`trend.strong`.
+  benchmarks: {
+    assets: ['bitcoin', 'ethereum', 'solana', 'binancecoin'],
+    volatilityDays: 30,
+    trend: { mild: 0.5, strong: 2 }
+  },
+  // `stablecoins` section: USD stablecoins (CoinGecko ids) tracked for peg deviation and supply
+  // growth. A coin is flagged off-peg when its price is more than `pegBand` percent from $1.
+  stablecoins: {
+    enabled: true,
+    coins: ['tether', 'usd-coin', 'ethena-usde', 'usds', 'dai', 'first-digital-usd', 'paypal-usd', 'true-usd'],
+    pegBand: 0.5
+  },
+  // Theme definitions. 'curated' uses the coin lists in the narratives file, with ids checked
+  // against the provider's coin list; 'categories' builds each theme from the provider categories
+  // mapped to it, using the top `categoryCoins` coins of each category.
+  narratives: {
+    file: 'config/narratives.json',
+    mode: 'curated',
+    validateIds: true,
+    categoryCoins: 50
+  },
+  // Technical analyses over the top `universe` coins by market cap, per API tier (a plain number
+  // applies to both); `historyDays` is the correlation window. Each coin's daily history is fetched
+  // once, `concurrency` requests at a time per API tier. The free tier's rate limit spaces history
+  // requests 1.6s apart whatever the concurrency, so its universe stays near the original 120 calls.
+  // Correlations are skipped when the TOTAL3 history has fewer than `minBenchmarkPoints` daily returns.
+  analysis: {
+    universe: { pro: 500, free: 120 },
+    historyDays: 90,
+    minBenchmarkPoints: 30,
+    concurrency: { pro: 4, free: 2 }
+  },
+  // EMA crossover scan: every pair is checked for each coin over the last `historyDays` of closes.
+  // A crossover counts when it happened within the last `lookbackBars` daily bars.
+  emaCrossovers: {
+    historyDays: 250,
+    lookbackBars: 3,
+    pairs: [
+      { fast: 9, slow: 21 },
+      { fast: 21, slow: 55 },
+      { fast: 50, slow: 200 }
+    ]
+  },
+  // Per-coin indicators over the same universe; histories are lengthened to fit the slowest one.
+  // Crossovers count when they happened within the last `lookbackBars` daily bars.
+  technicalIndicators: {
+    enabled: true,
+    lookbackBars: 3,
+    rsi: { enabled: true, period: 14, overbought: 70, oversold: 30 },
+    macd: { enabled: true, fast: 12, slow: 26, signal: 9 },
+    bollinger: { enabled: true, period: 20, stdDev: 2 },
+    atr: { enabled: true, period: 14 },
+    smaCross: { enabled: true, fast: 50, slow: 200 }
+  },
+  // `riskMetrics` section over the analysis universe and window (analysis.historyDays). Coins with
+  // fewer than `minDays` daily returns are left out; `riskFreeRate` is annual, in percent.
+  riskMetrics: {
+    enabled: true,
+    riskFreeRate: 0,
+    minDays: 30,
+    rankingSize: 10
+  },
+  // Pairwise return correlations of the top `coins` coins (stablecoins and wrapped assets, per
+  // movers.excludeCategories, left out) over analysis.historyDays, written to <dataDir>/correlations/.
+  // Pairs need `minOverlap` common days; clusters merge while their average correlation is at least
+  // `clusterThreshold`.
+  correlationMatrix: {
+    enabled: true,
+    coins: 50,
+    minOverlap: 30,
+    clusterThreshold: 0.7,
+    leastCorrelatedPairs: 10
+  },
+  // `changes` section: what moved since the previous dated snapshot. Rank moves smaller than
+  // `minRankMove` places are left out, and at most `maxRankMoves` are listed.
+  changes: {
+    enabled: true,
+    minRankMove: 25,
+    maxRankMoves: 20
+  },
+  // PNG charts of each new snapshot in <dataDir>/charts/YYYY-MM-DD/: `topMovers` gainers and losers
+  // in the movers chart, and at most `emaRows` rows in the EMA crossover table
+  charts: {
+    enabled: true,
+    width: 1200,
+    topMovers: 10,
+    emaRows: 20
+  },
+  // Markdown and HTML report of each new snapshot in <dataDir>/reports/; `rows` coins per table
+  reports: {
+    enabled: true,
+    formats: ['markdown', 'html'],
+    rows: 10
+  },
+  // Rules checked against every new snapshot, and where to send the alerts they fire; see
+  // scripts/lib/alerts.js. A missing rules file turns alerting off.
+  alerts: {
+    enabled: true,
+    file: 'config/alerts.json'
+  },
+  // build-rollups: trailing windows (in days) written to <dataDir>/rollups/, and how many coins
+  // each mover-frequency list keeps
+  rollups: {
+    windows: [7, 30, 90],
+    topCoins: 25
+  },
+  // export-data: flat tables for pandas/DuckDB, written under `dir` in each of `formats`
+  export: {
+    dir: 'exports',
+    formats: ['csv', 'parquet']
+  },
+  provider: {
+    name: 'coingecko',
+    // Provider-specific ids keyed by CoinGecko id, for adapters whose ids differ
+    idMap: {},
+    fixtureDir: 'fixtures/provider'
+  }
+};
+
+const DEFAULT_CONFIG_PATH = path.join('config', 'market-data.json');
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge recursively; arrays and scalars from the override replace the default
+function deepMerge(base, override) {
+  if (!isPlainObject(override)) return override === undefined ? base : override;
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(base?.[key]) ? deepMerge(base[key], value) : value;
+  }
+  return result;
+}
+
+function readConfigFile(configPath) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config file ${resolved}: ${e.message}`);
+  }
+}
+
+function applyEnvOverrides(config, env) {
+  const result = { ...config };
+  if (env.MARKET_DATA_PROVIDER) {
+    result.provider = { ...result.provider, name: env.MARKET_DATA_PROVIDER };
+  }
+  if (env.MARKET_DATA_DIR) {
+    result.dataDir = env.MARKET_DATA_DIR;
+  }
+  if (env.MARKET_DATA_CURRENCIES) {
+    result.currencies = env.MARKET_DATA_CURRENCIES.split(',');
+  }
+  if (env.HTTP_CACHE || env.HTTP_CACHE_DIR) {
+    result.httpCache = {
+      ...result.httpCache,
+      ...(env.HTTP_CACHE && { enabled: env.HTTP_CACHE !== 'off' }),
+      ...(env.HTTP_CACHE_DIR && { dir: env.HTTP_CACHE_DIR })
+    };
+  }
+  if (env.ALERTS) {
+    result.alerts = { ...result.alerts, enabled: env.ALERTS !== 'off' };
+  }
+  if (env.HTTP_FIXTURES_MODE || env.HTTP_FIXTURES_DIR) {
+    result.httpFixtures = {
+      ...result.httpFixtures,
+      ...(env.HTTP_FIXTURES_MODE && { mode: env.HTTP_FIXTURES_MODE }),
+      ...(env.HTTP_FIXTURES_DIR && { dir: env.HTTP_FIXTURES_DIR })
+    };
+  }
+  return result;
+}
+
+function loadConfig({ configPath, env = process.env, overrides } = {}) {
+  const explicitPath = configPath || env.MARKET_DATA_CONFIG;
+  const fileConfig = readConfigFile(explicitPath || DEFAULT_CONFIG_PATH);
+  if (explicitPath && !fileConfig) {
+    throw new Error(`Config file not found: ${path.resolve(explicitPath)}`);
+  }
+  const merged = deepMerge(DEFAULT_CONFIG, fileConfig || {});
+  return deepMerge(applyEnvOverrides(merged, env), overrides || {});
+}
+
+module.exports = { DEFAULT_CONFIG, deepMerge, loadConfig };
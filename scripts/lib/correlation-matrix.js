@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pairwise daily-return correlations of the top coins, stored next to the snapshot in
+// data/correlations/YYYY-MM-DD.json. `matrix` is square and in the order of `ids`, one row per
+// line, with null where two coins share too few days. The snapshot's correlationMatrix section
+// holds the clusters and least-correlated pairs.
+const CORRELATION_MATRIX_DIR = 'correlations';
+const CORRELATION_MATRIX_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+const round = (value, digits = 3) => (value == null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+
+// Relative to the data directory, as recorded in correlationMatrix.file
+function correlationMatrixFile(dateKey) {
+  return `${CORRELATION_MATRIX_DIR}/${dateKey}.json`;
+}
+
+// Pearson correlation of two date -> return maps over the dates both have; null below minOverlap
+function pearson(a, b, minOverlap) {
+  const xs = [];
+  const ys = [];
+  for (const [date, x] of a) {
+    if (b.has(date)) {
+      xs.push(x);
+      ys.push(b.get(date));
+    }
+  }
+  const n = xs.length;
+  if (n < Math.max(minOverlap, 2)) return null;
+  const meanX = xs.reduce((s, v) => s + v, 0) / n;
+  const meanY = ys.reduce((s, v) => s + v, 0) / n;
+  let cov = 0, varX = 0, varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+  return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : null;
+}
+
+// returns: one date -> return map per coin
+function correlationMatrix(returns, minOverlap) {
+  const n = returns.length;
+  const matrix = Array.from({ length: n }, () => new Array(n).fill(null));
+  for (let i = 0; i < n; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < n; j++) {
+      const corr = round(pearson(returns[i], returns[j], minOverlap));
+      matrix[i][j] = corr;
+      matrix[j][i] = corr;
+    }
+  }
+  return matrix;
+}
+
+// Average-linkage agglomerative clustering on 1 - correlation (unknown pairs count as 0). Merging
+// stops once the closest clusters' average correlation is below `threshold`. Returns the clusters
+// of two or more coins as { members: indexes, averageCorrelation }, largest first.
+function clusterMatrix(matrix, threshold) {
+  const corr = (i, j) => matrix[i][j] ?? 0;
+  let clusters = matrix.map((_, i) => [i]);
+  const linkage = (a, b) => {
+    let sum = 0;
+    for (const i of a) for (const j of b) sum += corr(i, j);
+    return sum / (a.length * b.length);
+  };
+  while (clusters.length > 1) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const value = linkage(clusters[a], clusters[b]);
+        if (!best || value > best.value) best = { a, b, value };
+      }
+    }
+    if (best.value < threshold) break;
+    const merged = [...clusters[best.a], ...clusters[best.b]];
+    clusters = clusters.filter((_, k) => k !== best.a && k !== best.b);
+    clusters.push(merged);
+  }
+  return clusters
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => ({ members: cluster.sort((x, y) => x - y), averageCorrelation: linkageWithin(cluster, corr) }))
+    .sort((x, y) => y.members.length - x.members.length || y.averageCorrelation - x.averageCorrelation);
+}
+
+function linkageWithin(cluster, corr) {
+  let sum = 0;
+  let pairs = 0;
+  for (let a = 0; a < cluster.length; a++) {
+    for (let b = a + 1; b < cluster.length; b++) {
+      sum += corr(cluster[a], cluster[b]);
+      pairs++;
+    }
+  }
+  return round(sum / pairs);
+}
+
+// The `count` pairs with the lowest correlation, as [i, j, correlation]
+function leastCorrelatedPairs(matrix, count) {
+  const pairs = [];
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = i + 1; j < matrix.length; j++) {
+      if (matrix[i][j] != null) pairs.push([i, j, matrix[i][j]]);
+    }
+  }
+  return pairs.sort((a, b) => a[2] - b[2]).slice(0, count);
+}
+
+function serializeCorrelationMatrix(doc) {
+  const { matrix, ...header } = doc;
+  const head = JSON.stringify(header).slice(0, -1);
+  const rows = matrix.map(row => `    ${JSON.stringify(row)}`).join(',\n');
+  return `${head},"matrix":[\n${rows}\n]}\n`;
+}
+
+function writeCorrelationMatrix(dataDir, doc) {
+  const filePath = path.join(dataDir, correlationMatrixFile(doc.date));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, serializeCorrelationMatrix(doc));
+  return filePath;
+}
+
+function loadCorrelationMatrix(dateKey, dataDir) {
+  const filePath = path.join(dataDir, correlationMatrixFile(dateKey));
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+function listCorrelationMatrixDates(dataDir) {
+  const dir = path.join(dataDir, CORRELATION_MATRIX_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => CORRELATION_MATRIX_FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+module.exports = {
+  CORRELATION_MATRIX_DIR,
+  CORRELATION_MATRIX_FILE_PATTERN,
+  correlationMatrixFile,
+  pearson,
+  correlationMatrix,
+  clusterMatrix,
+  leastCorrelatedPairs,
+  writeCorrelationMatrix,
+  loadCorrelationMatrix,
+  listCorrelationMatrixDates
+};
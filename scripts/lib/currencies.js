@@ -0,0 +1,72 @@
+// Quote currencies beyond USD. USD stays the base: every top-level snapshot field is in USD, and
+// the `currencies` section repeats prices, market caps, movers and narrative returns per currency.
+// Movers come from the provider's markets in that currency; narrative figures and global totals
+// are converted from USD through the currency's rate implied by BTC's price in both.
+const BASE_CURRENCY = 'usd';
+
+// Lowercased and de-duplicated, with USD always first
+function normalizeCurrencies(currencies = []) {
+  const codes = currencies.map(code => String(code).trim().toLowerCase()).filter(Boolean);
+  return [...new Set([BASE_CURRENCY, ...codes])];
+}
+
+const growth = change => 1 + (change || 0) / 100;
+const fromGrowth = g => (g - 1) * 100;
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// `rate` converts a USD amount into the currency; growth24h/growth7d are the rate's change
+// factors over each period. btcUsd and btcQuote are BTC's market rows in USD and the currency.
+function crossRate(btcUsd, btcQuote, change7d) {
+  return {
+    rate: btcQuote.current_price / btcUsd.current_price,
+    growth24h: growth(btcQuote.price_change_percentage_24h) / growth(btcUsd.price_change_percentage_24h),
+    growth7d: growth(change7d(btcQuote)) / growth(change7d(btcUsd))
+  };
+}
+
+function convertReturn({ change24h, change7d }, fx) {
+  return {
+    change24h: round(fromGrowth(growth(change24h) * fx.growth24h)),
+    change7d: round(fromGrowth(growth(change7d) * fx.growth7d))
+  };
+}
+
+// Narrative returns and market caps in the currency. Re-pricing scales every coin by the same
+// factor, so equal- and cap-weighted returns convert exactly.
+function convertNarratives(narrativeData, fx) {
+  const converted = {};
+  for (const [theme, narrative] of Object.entries(narrativeData)) {
+    converted[theme] = {
+      ...convertReturn(narrative, fx),
+      marketCap: narrative.marketCap * fx.rate,
+      coinCount: narrative.coinCount,
+      ...(narrative.returns && {
+        returns: {
+          equalWeighted: convertReturn(narrative.returns.equalWeighted, fx),
+          capWeighted: convertReturn(narrative.returns.capWeighted, fx)
+        }
+      })
+    };
+  }
+  return converted;
+}
+
+function compactCoin(coin, change7d) {
+  return {
+    id: coin.id,
+    symbol: (coin.symbol || '').toUpperCase(),
+    name: coin.name,
+    price: coin.current_price ?? null,
+    marketCap: coin.market_cap ?? null,
+    change24h: coin.price_change_percentage_24h ?? null,
+    change7d: change7d(coin) ?? null
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrencies,
+  crossRate,
+  convertNarratives,
+  compactCoin
+};
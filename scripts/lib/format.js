@@ -0,0 +1,27 @@
+// Number formatting shared by the generator's logs, charts and reports
+
+// Compact magnitude: 1234567 -> '1.23M'
+function formatNumber(num, decimals = 2) {
+  if (num >= 1e12) return (num / 1e12).toFixed(decimals) + 'T';
+  if (num >= 1e9) return (num / 1e9).toFixed(decimals) + 'B';
+  if (num >= 1e6) return (num / 1e6).toFixed(decimals) + 'M';
+  if (num >= 1e3) return (num / 1e3).toFixed(decimals) + 'K';
+  return num.toFixed(decimals);
+}
+
+// Signed percentage: 1.234 -> '+1.23%'; null -> 'n/a'
+function formatPercent(value, decimals = 2) {
+  if (value == null || !Number.isFinite(value)) return 'n/a';
+  const rounded = parseFloat(value.toFixed(decimals)) || 0; // no '-0.00%'
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(decimals)}%`;
+}
+
+// USD price with precision to match its size: 116515 -> '$116,515', 0.004321 -> '$0.004321'
+function formatPrice(value) {
+  if (value == null || !Number.isFinite(value)) return 'n/a';
+  if (value >= 1000) return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  if (value >= 1 || value === 0) return `$${value.toFixed(2)}`;
+  return `$${value.toPrecision(4)}`;
+}
+
+module.exports = { formatNumber, formatPercent, formatPrice };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS } = require('./archive');
+const { requestKey, requestFileName } = require('./http-fixtures');
+
+// File-backed response cache shared by every run and analysis on this machine. Entries are
+// keyed like HTTP fixtures (path plus sorted query) and expire by per-endpoint TTL, checked
+// against the current config when read, so changing a TTL applies to existing entries too.
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+
+// '30s', '5m', '12h', '7d', a number of milliseconds, or 'day': until the end of the UTC day
+// the response was fetched, when daily candles roll over
+function parseTtl(value) {
+  if (value === 'day') return 'day';
+  if (typeof value === 'number' && value >= 0) return value;
+  const match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid cache TTL "${value}" (expected e.g. 30s, 5m, 12h, 7d or "day")`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Temp files left by a run killed between write and rename; younger ones may still be in flight
+const STALE_TMP_MS = 10 * 60 * 1000;
+
+// '/coins/*/market_chart' matches one path segment per '*'
+function endpointPattern(template) {
+  const source = template.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]+');
+  return new RegExp(`^${source}$`);
+}
+
+class HttpDiskCache {
+  constructor({ dir = '.cache/http', namespace = '', defaultTtl = '5m', ttls = {} } = {}) {
+    this.dir = path.resolve(dir);
+    this.namespaceDir = path.join(this.dir, namespace);
+    this.defaultTtl = parseTtl(defaultTtl);
+    this.rules = Object.entries(ttls).map(([template, ttl]) => ({
+      template,
+      pattern: endpointPattern(template),
+      ttl: parseTtl(ttl)
+    }));
+  }
+
+  // Exact endpoints win over templates; otherwise the first matching template applies
+  ruleFor(endpoint) {
+    return this.rules.find(rule => rule.template === endpoint) ||
+      this.rules.find(rule => rule.pattern.test(endpoint)) ||
+      { template: '(default)', ttl: this.defaultTtl };
+  }
+
+  expiresAt(endpoint, storedAt) {
+    const { ttl } = this.ruleFor(endpoint);
+    if (ttl === 'day') return Math.floor(storedAt / DAY_MS) * DAY_MS + DAY_MS;
+    return storedAt + ttl;
+  }
+
+  entryPath(url) {
+    return path.join(this.namespaceDir, requestFileName(requestKey(url)));
+  }
+
+  // Returns { body, storedAt, fresh } or null; unreadable entries count as misses
+  get(endpoint, url, now = Date.now()) {
+    const entry = this.readEntry(this.entryPath(url));
+    if (!entry) return null;
+    return { body: entry.body, storedAt: entry.storedAt, fresh: now < this.expiresAt(endpoint, entry.storedAt) };
+  }
+
+  // Written to a temp file and renamed, so a concurrent run never reads half an entry
+  set(endpoint, url, body, now = Date.now()) {
+    const filePath = this.entryPath(url);
+    fs.mkdirSync(this.namespaceDir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ request: requestKey(url), endpoint, storedAt: now, body }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  readEntry(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Every entry on disk, across provider namespaces, with its size and expiry
+  listEntries(now = Date.now()) {
+    if (!fs.existsSync(this.dir)) return [];
+    const entries = [];
+    for (const namespace of fs.readdirSync(this.dir)) {
+      const namespaceDir = path.join(this.dir, namespace);
+      if (!fs.statSync(namespaceDir).isDirectory()) continue;
+      for (const name of fs.readdirSync(namespaceDir)) {
+        const filePath = path.join(namespaceDir, name);
+        if (name.endsWith('.tmp')) {
+          const { size, mtimeMs } = fs.statSync(filePath);
+          const expiresAt = mtimeMs + STALE_TMP_MS;
+          entries.push({ namespace, filePath, size, rule: '(temp file)', temp: true, storedAt: mtimeMs, expiresAt, fresh: now < expiresAt });
+          continue;
+        }
+        if (!name.endsWith('.json')) continue;
+        const size = fs.statSync(filePath).size;
+        const entry = this.readEntry(filePath);
+        if (!entry) {
+          entries.push({ namespace, filePath, size, rule: '(unreadable)', storedAt: null, expiresAt: 0, fresh: false });
+          continue;
+        }
+        const expiresAt = this.expiresAt(entry.endpoint, entry.storedAt);
+        entries.push({
+          namespace,
+          filePath,
+          size,
+          endpoint: entry.endpoint,
+          rule: this.ruleFor(entry.endpoint).template,
+          storedAt: entry.storedAt,
+          expiresAt,
+          fresh: now < expiresAt
+        });
+      }
+    }
+    return entries;
+  }
+
+  // Removes expired (or, with all, every) entry and stale temp files; returns what was removed.
+  // Recent temp files are kept even with all, since another run may be about to rename them.
+  prune({ all = false, olderThan, now = Date.now() } = {}) {
+    const maxAge = olderThan != null ? parseTtl(olderThan) : null;
+    if (maxAge === 'day') throw new Error('olderThan takes a duration such as 7d');
+    const removed = this.listEntries(now).filter(entry => {
+      if (entry.temp) return !entry.fresh;
+      if (all || !entry.fresh) return true;
+      return maxAge != null && now - entry.storedAt > maxAge;
+    });
+    for (const entry of removed) fs.rmSync(entry.filePath, { force: true });
+    return removed;
+  }
+}
+
+module.exports = { HttpDiskCache, parseTtl };
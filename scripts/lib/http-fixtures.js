@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Records HTTP responses to disk during a live run and serves them back, with no network
+// access, during a replay. Fixtures are keyed by request path and sorted query string, so
+// the PRO/FREE base URL and API-key headers do not matter.
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// Path plus sorted query string, so neither the host nor parameter order changes the key
+function requestKey(url) {
+  const { pathname, searchParams } = new URL(url);
+  const query = [...searchParams.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  return query ? `${pathname}?${query}` : pathname;
+}
+
+// Readable, collision-safe file name for a request key
+function requestFileName(key) {
+  const slug = key.split('?')[0].replace(/^\/+/, '').replace(/[^a-zA-Z0-9-]+/g, '_').slice(0, 80);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return `${slug}-${hash}.json`;
+}
+
+class HttpFixtureStore {
+  constructor({ mode = 'off', dir = 'fixtures/http', namespace = '' } = {}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Invalid HTTP fixtures mode "${mode}" (expected one of: ${FIXTURE_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.dir = path.resolve(dir);
+    this.namespaceDir = path.join(this.dir, namespace);
+  }
+
+  get recording() { return this.mode === 'record'; }
+
+  get replaying() { return this.mode === 'replay'; }
+
+  requestKey(url) {
+    return requestKey(url);
+  }
+
+  fixturePath(url) {
+    return path.join(this.namespaceDir, requestFileName(requestKey(url)));
+  }
+
+  // Resolves with the recorded body or rejects with the recorded error
+  replay(url) {
+    const filePath = this.fixturePath(url);
+    if (!fs.existsSync(filePath)) {
+      const err = new Error(`No recorded fixture for ${this.requestKey(url)}`);
+      err.code = 'FIXTURE_MISSING';
+      return Promise.reject(err);
+    }
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (fixture.error) {
+      const err = new Error(fixture.error.message);
+      if (fixture.error.statusCode) err.statusCode = fixture.error.statusCode;
+      if (fixture.error.code) err.code = fixture.error.code;
+      return Promise.reject(err);
+    }
+    return Promise.resolve(fixture.body);
+  }
+
+  // Later attempts for the same request overwrite earlier ones, so the final outcome is kept
+  record(url, { body, error }) {
+    fs.mkdirSync(this.namespaceDir, { recursive: true });
+    const fixture = { request: this.requestKey(url) };
+    if (error) {
+      fixture.error = { message: error.message, statusCode: error.statusCode, code: error.code };
+    } else {
+      fixture.body = body;
+    }
+    fs.writeFileSync(this.fixturePath(url), JSON.stringify(fixture));
+  }
+
+  manifestPath() {
+    return path.join(this.dir, 'manifest.json');
+  }
+
+  writeManifest(manifest) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.manifestPath(), JSON.stringify({ recordedAt: new Date().toISOString(), ...manifest }, null, 2));
+  }
+
+  readManifest() {
+    if (!fs.existsSync(this.manifestPath())) {
+      throw new Error(`No fixture manifest at ${this.manifestPath()}; record a run first`);
+    }
+    return JSON.parse(fs.readFileSync(this.manifestPath(), 'utf8'));
+  }
+}
+
+module.exports = { FIXTURE_MODES, HttpFixtureStore, requestKey, requestFileName };
@@ -0,0 +1,189 @@
+// Technical indicators over a daily close series (oldest first). Histories from /market_chart
+// carry closes only, so ranges are close-to-close: ATR here is the smoothed absolute daily move.
+// Every series helper returns an array aligned with the input, with null until it has enough data.
+
+function calculateSMA(values, period) {
+  const sma = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    sma.push(i >= period - 1 ? sum / period : null);
+  }
+  return sma;
+}
+
+// Seeded with the SMA of the first `period` values
+function calculateEMA(values, period) {
+  const k = 2 / (period + 1);
+  const sma = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const ema = Array(period - 1).fill(null);
+  ema.push(sma);
+  for (let i = period; i < values.length; i++) {
+    ema.push((values[i] * k) + (ema[ema.length - 1] * (1 - k)));
+  }
+  return ema;
+}
+
+// Wilder's smoothing of a non-negative series, seeded with the simple average
+function wilderSmooth(values, period) {
+  if (values.length < period) return [];
+  let avg = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const smoothed = [avg];
+  for (let i = period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+    smoothed.push(avg);
+  }
+  return smoothed;
+}
+
+function calculateRSI(closes, period = 14) {
+  if (closes.length <= period) return null;
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+  const avgGain = wilderSmooth(gains, period).pop();
+  const avgLoss = wilderSmooth(losses, period).pop();
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+// Most recent sign change of a difference series within the last `lookbackBars` bars
+function recentCross(diffs, lookbackBars) {
+  const lastIdx = diffs.length - 1;
+  for (let j = lastIdx; j >= 1 && lastIdx - j <= lookbackBars; j--) {
+    if (diffs[j] == null || diffs[j - 1] == null) break;
+    if (diffs[j - 1] < 0 && diffs[j] > 0) return { direction: 'bullish', daysAgo: lastIdx - j };
+    if (diffs[j - 1] > 0 && diffs[j] < 0) return { direction: 'bearish', daysAgo: lastIdx - j };
+  }
+  return null;
+}
+
+function calculateMACD(closes, { fast = 12, slow = 26, signal = 9 } = {}, lookbackBars = 3) {
+  if (closes.length < slow + signal) return null;
+  const emaFast = calculateEMA(closes, fast);
+  const emaSlow = calculateEMA(closes, slow);
+  const macdLine = closes.map((_, i) => (emaSlow[i] == null ? null : emaFast[i] - emaSlow[i]));
+  const firstMacd = slow - 1;
+  const signalLine = Array(firstMacd).fill(null).concat(calculateEMA(macdLine.slice(firstMacd), signal));
+  const histogram = macdLine.map((m, i) => (m == null || signalLine[i] == null ? null : m - signalLine[i]));
+  const lastIdx = closes.length - 1;
+  const cross = recentCross(histogram, lookbackBars);
+  return {
+    macd: macdLine[lastIdx],
+    signal: signalLine[lastIdx],
+    histogram: histogram[lastIdx],
+    crossover: cross ? cross.direction : 'none',
+    daysAgo: cross ? cross.daysAgo : null
+  };
+}
+
+// percentB is 0 at the lower band and 1 at the upper; bandwidth is the band spread as % of the middle
+function calculateBollinger(closes, { period = 20, stdDev = 2 } = {}) {
+  if (closes.length < period) return null;
+  const window = closes.slice(-period);
+  const middle = window.reduce((a, b) => a + b, 0) / period;
+  const sd = Math.sqrt(window.reduce((acc, v) => acc + (v - middle) ** 2, 0) / period);
+  const upper = middle + stdDev * sd;
+  const lower = middle - stdDev * sd;
+  const price = closes[closes.length - 1];
+  return {
+    upper,
+    middle,
+    lower,
+    percentB: upper === lower ? 0.5 : (price - lower) / (upper - lower),
+    bandwidth: middle === 0 ? 0 : ((upper - lower) / middle) * 100
+  };
+}
+
+function calculateATR(closes, { period = 14 } = {}) {
+  if (closes.length <= period) return null;
+  const ranges = [];
+  for (let i = 1; i < closes.length; i++) ranges.push(Math.abs(closes[i] - closes[i - 1]));
+  const value = wilderSmooth(ranges, period).pop();
+  const price = closes[closes.length - 1];
+  return { value, percent: price ? (value / price) * 100 : 0 };
+}
+
+// Golden cross: the fast SMA moves above the slow one; death cross: below
+function calculateSMACross(closes, { fast = 50, slow = 200 } = {}, lookbackBars = 3) {
+  if (closes.length < slow) return null;
+  const smaFast = calculateSMA(closes, fast);
+  const smaSlow = calculateSMA(closes, slow);
+  const diffs = closes.map((_, i) => (smaSlow[i] == null ? null : smaFast[i] - smaSlow[i]));
+  const lastIdx = closes.length - 1;
+  const cross = recentCross(diffs, lookbackBars);
+  return {
+    fast: smaFast[lastIdx],
+    slow: smaSlow[lastIdx],
+    trend: diffs[lastIdx] >= 0 ? 'golden' : 'death',
+    crossover: cross ? (cross.direction === 'bullish' ? 'golden' : 'death') : 'none',
+    daysAgo: cross ? cross.daysAgo : null
+  };
+}
+
+function rsiState(rsi, { overbought, oversold }) {
+  if (rsi == null) return null;
+  if (rsi >= overbought) return 'overbought';
+  if (rsi <= oversold) return 'oversold';
+  return 'neutral';
+}
+
+// Every enabled indicator for one close series; an indicator without enough history is null
+function computeIndicators(closes, config) {
+  const { lookbackBars, rsi, macd, bollinger, atr, smaCross } = config;
+  const result = {};
+  if (rsi.enabled) {
+    const value = calculateRSI(closes, rsi.period);
+    result.rsi = value == null ? null : { value, state: rsiState(value, rsi) };
+  }
+  if (macd.enabled) result.macd = calculateMACD(closes, macd, lookbackBars);
+  if (bollinger.enabled) result.bollinger = calculateBollinger(closes, bollinger);
+  if (atr.enabled) result.atr = calculateATR(closes, atr);
+  if (smaCross.enabled) result.smaCross = calculateSMACross(closes, smaCross, lookbackBars);
+  return result;
+}
+
+function summarizeIndicators(entries) {
+  const count = predicate => entries.filter(predicate).length;
+  return {
+    coinsAnalyzed: entries.length,
+    overbought: count(e => e.rsi?.state === 'overbought'),
+    oversold: count(e => e.rsi?.state === 'oversold'),
+    macdBullishCrossovers: count(e => e.macd?.crossover === 'bullish'),
+    macdBearishCrossovers: count(e => e.macd?.crossover === 'bearish'),
+    aboveUpperBand: count(e => e.bollinger && e.bollinger.percentB > 1),
+    belowLowerBand: count(e => e.bollinger && e.bollinger.percentB < 0),
+    goldenCrosses: count(e => e.smaCross?.crossover === 'golden'),
+    deathCrosses: count(e => e.smaCross?.crossover === 'death')
+  };
+}
+
+// History length (in days) the enabled indicators need to produce a value
+function requiredHistoryDays(config) {
+  const { lookbackBars, rsi, macd, bollinger, atr, smaCross } = config;
+  const needs = [0];
+  if (rsi.enabled) needs.push(rsi.period + 1);
+  if (macd.enabled) needs.push(macd.slow + macd.signal + lookbackBars);
+  if (bollinger.enabled) needs.push(bollinger.period);
+  if (atr.enabled) needs.push(atr.period + 1);
+  if (smaCross.enabled) needs.push(smaCross.slow + lookbackBars);
+  return Math.max(...needs);
+}
+
+module.exports = {
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollinger,
+  calculateATR,
+  calculateSMACross,
+  computeIndicators,
+  summarizeIndicators,
+  requiredHistoryDays
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// The full analysis universe for one day, stored next to the snapshot in data/markets/YYYY-MM-DD.json.
+// Rows are arrays in the order of COLUMNS, one per line, which keeps 500 coins small and diffable.
+const MARKET_TABLE_DIR = 'markets';
+const MARKET_TABLE_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const COLUMNS = [
+  'rank',
+  'id',
+  'symbol',
+  'name',
+  'price',
+  'marketCap',
+  'volume24h',
+  'change24h',
+  'change7d',
+  'circulatingSupply',
+  'totalSupply',
+  'maxSupply'
+];
+
+const num = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Relative to the data directory, as recorded in metadata.marketTable.file
+function marketTableFile(dateKey) {
+  return `${MARKET_TABLE_DIR}/${dateKey}.json`;
+}
+
+// coins: provider rows in /coins/markets field names, in market-cap order; change7d is passed
+// in because providers report it in different fields
+function buildMarketTable({ date, timestamp, vsCurrency = 'usd', coins, change7d }) {
+  return {
+    date,
+    timestamp,
+    vsCurrency,
+    columns: COLUMNS,
+    coins: coins.map((coin, i) => [
+      coin.market_cap_rank ?? i + 1,
+      coin.id,
+      (coin.symbol || '').toUpperCase(),
+      coin.name || coin.id,
+      num(coin.current_price),
+      num(coin.market_cap),
+      num(coin.total_volume),
+      num(coin.price_change_percentage_24h_in_currency ?? coin.price_change_percentage_24h),
+      num(change7d(coin)),
+      num(coin.circulating_supply),
+      num(coin.total_supply),
+      num(coin.max_supply)
+    ])
+  };
+}
+
+function serializeMarketTable(table) {
+  const { coins, ...header } = table;
+  const head = JSON.stringify(header).slice(0, -1);
+  const rows = coins.map(row => `    ${JSON.stringify(row)}`).join(',\n');
+  return `${head},"coins":[\n${rows}\n]}\n`;
+}
+
+function writeMarketTable(dataDir, table) {
+  const filePath = path.join(dataDir, marketTableFile(table.date));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, serializeMarketTable(table));
+  return filePath;
+}
+
+// Returns the table with coins as objects keyed by column name, or null if there is none
+function loadMarketTable(dateKey, dataDir) {
+  const filePath = path.join(dataDir, marketTableFile(dateKey));
+  if (!fs.existsSync(filePath)) return null;
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    ...table,
+    coins: table.coins.map(row => Object.fromEntries(table.columns.map((column, i) => [column, row[i]])))
+  };
+}
+
+function listMarketTableDates(dataDir) {
+  const dir = path.join(dataDir, MARKET_TABLE_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => MARKET_TABLE_FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+module.exports = {
+  MARKET_TABLE_DIR,
+  MARKET_TABLE_FILE_PATTERN,
+  COLUMNS,
+  marketTableFile,
+  buildMarketTable,
+  writeMarketTable,
+  loadMarketTable,
+  listMarketTableDates
+};
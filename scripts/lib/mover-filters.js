@@ -0,0 +1,38 @@
+// Liquidity and data-quality screens applied before the mover lists are ranked. Rules run in the
+// order of RULES and a coin is counted against the first one it fails, so the filteredOut counts
+// add up to the number of coins screened out. A minimum of 0 (or null) turns that rule off.
+const RULES = ['excludedCategory', 'missingData', 'minMarketCap', 'minVolume24h', 'minVolumeToMarketCap'];
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function failedRule(coin, { minMarketCap, minVolume24h, minVolumeToMarketCap }, excluded) {
+  if (excluded.has(coin.id)) return 'excludedCategory';
+  const marketCap = coin.market_cap;
+  const volume = coin.total_volume;
+  if (!isFiniteNumber(marketCap) || marketCap <= 0 || !isFiniteNumber(volume) || volume < 0) return 'missingData';
+  if (minMarketCap && marketCap < minMarketCap) return 'minMarketCap';
+  if (minVolume24h && volume < minVolume24h) return 'minVolume24h';
+  if (minVolumeToMarketCap && volume / marketCap < minVolumeToMarketCap) return 'minVolumeToMarketCap';
+  return null;
+}
+
+// excluded maps coin id -> the excluded category it was found in.
+// Returns { eligible, filteredOut: { rule: count } }
+function screenCoins(coins, filters, excluded = new Map()) {
+  const filteredOut = Object.fromEntries(RULES.map(rule => [rule, 0]));
+  const eligible = [];
+  for (const coin of coins) {
+    const rule = failedRule(coin, filters, excluded);
+    if (rule) {
+      filteredOut[rule]++;
+    } else {
+      eligible.push(coin);
+    }
+  }
+  return { eligible, filteredOut };
+}
+
+module.exports = {
+  RULES,
+  screenCoins
+};
@@ -0,0 +1,91 @@
+const { DAY_MS, loadPreviousSnapshot } = require('./archive');
+
+// Each narrative is tracked as two indices, equal-weighted and market-cap-weighted, rebased to
+// 100 on the first snapshot that has the theme and carried forward from the previous snapshot
+// in data/ by each day's 24h return.
+const INDEX_BASE = 100;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+// coins: [{ marketCap, change24h, change7d }] with changes in percent. Cap weights are taken at
+// the start of each period (today's cap deflated by the period's return), as an index would
+// have held them.
+function narrativeReturns(coins) {
+  const equal = key => (coins.length > 0 ? coins.reduce((sum, c) => sum + c[key], 0) / coins.length : 0);
+  const capWeighted = key => {
+    let weight = 0;
+    let weighted = 0;
+    for (const coin of coins) {
+      const growth = 1 + coin[key] / 100;
+      if (!(coin.marketCap > 0) || !(growth > 0)) continue;
+      const startCap = coin.marketCap / growth;
+      weight += startCap;
+      weighted += startCap * coin[key];
+    }
+    return weight > 0 ? weighted / weight : 0;
+  };
+  return {
+    equalWeighted: { change24h: round(equal('change24h'), 2), change7d: round(equal('change7d'), 2) },
+    capWeighted: { change24h: round(capWeighted('change24h'), 2), change7d: round(capWeighted('change7d'), 2) }
+  };
+}
+
+// Index levels per theme from the newest snapshot dated before dateKey, or null
+function previousIndexLevels(dataDir, dateKey) {
+  const snapshot = loadPreviousSnapshot(dateKey, dataDir);
+  if (!snapshot) return null;
+  const levels = {};
+  for (const [theme, narrative] of Object.entries(snapshot.narrativeData || {})) {
+    if (narrative.index) levels[theme] = { ...narrative.index, memberCaps: narrative.memberCaps || {} };
+  }
+  return { date: snapshot.date, levels };
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Market-cap growth of the members a theme had on both days, or null when they share none
+function commonMemberRatio(priorCaps, currentCaps = {}) {
+  let before = 0;
+  let after = 0;
+  for (const [id, cap] of Object.entries(currentCaps)) {
+    if (!(priorCaps[id] > 0) || !(cap > 0)) continue;
+    before += priorCaps[id];
+    after += cap;
+  }
+  return before > 0 ? after / before : null;
+}
+
+// Adds `index` to every narrative. A theme missing from the previous snapshot starts at the base.
+// The 24h return only links consecutive days. Across missing days (`gapDays`) the cap-weighted
+// level moves by the market-cap growth of the members present on both days, so coins joining or
+// leaving the theme don't move it; the equal-weighted level has no return for the gap and is held.
+function applyNarrativeIndex(narrativeData, previous, dateKey) {
+  const gapDays = previous ? daysBetween(previous.date, dateKey) - 1 : 0;
+  for (const [theme, narrative] of Object.entries(narrativeData)) {
+    const prior = previous?.levels[theme];
+    const { equalWeighted, capWeighted } = narrative.returns;
+    if (!prior) {
+      narrative.index = { baseDate: dateKey, previousDate: null, equalWeighted: INDEX_BASE, capWeighted: INDEX_BASE };
+      continue;
+    }
+    const equalRatio = gapDays > 0 ? 1 : 1 + equalWeighted.change24h / 100;
+    const capRatio = gapDays > 0
+      ? commonMemberRatio(prior.memberCaps, narrative.memberCaps) ?? 1
+      : 1 + capWeighted.change24h / 100;
+    narrative.index = {
+      baseDate: prior.baseDate,
+      previousDate: previous.date,
+      equalWeighted: round(prior.equalWeighted * equalRatio, 4),
+      capWeighted: round(prior.capWeighted * capRatio, 4)
+    };
+    if (gapDays > 0) narrative.index.gapDays = gapDays;
+  }
+  return narrativeData;
+}
+
+module.exports = {
+  INDEX_BASE,
+  narrativeReturns,
+  previousIndexLevels,
+  applyNarrativeIndex
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+// Narrative (theme) definitions live in config/narratives.json (or .yaml/.yml):
+//   { "version": 2, "narratives": { "AI": ["fetch-ai", ...], ... },
+//     "categories": { "AI": ["artificial-intelligence"], ... } }
+// Ids are CoinGecko ids; `categories` folds provider categories into themes for the
+// auto-discovered mode. Every change to the file is appended to a change log in the data
+// directory, so it's possible to see when a coin joined or left a theme.
+const CHANGELOG_FILE = 'narratives-changelog.json';
+
+function parseNarrativeFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (/\.ya?ml$/i.test(filePath)) {
+    return require('yaml').parse(text);
+  }
+  return JSON.parse(text);
+}
+
+// Returns { version, source, narratives, categories, duplicates }. Repeats of an id within one
+// theme are dropped; an id listed under several themes stays in each and is reported as a duplicate.
+function loadNarratives(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Narratives file not found: ${resolved}`);
+  }
+  let doc;
+  try {
+    doc = parseNarrativeFile(resolved);
+  } catch (e) {
+    throw new Error(`Invalid narratives file ${resolved}: ${e.message}`);
+  }
+  if (!doc || typeof doc.narratives !== 'object' || Array.isArray(doc.narratives)) {
+    throw new Error(`Invalid narratives file ${resolved}: expected a "narratives" object of theme -> coin ids`);
+  }
+
+  const narratives = {};
+  const themesById = new Map();
+  for (const [theme, ids] of Object.entries(doc.narratives)) {
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id)) {
+      throw new Error(`Invalid narratives file ${resolved}: "${theme}" must be a list of coin ids`);
+    }
+    narratives[theme] = [...new Set(ids)];
+    for (const id of ids) {
+      themesById.set(id, [...(themesById.get(id) || []), theme]);
+    }
+  }
+  const categories = doc.categories ?? null;
+  if (categories != null) {
+    const valid = typeof categories === 'object' && !Array.isArray(categories) &&
+      Object.values(categories).every(ids => Array.isArray(ids) && ids.every(id => typeof id === 'string' && id));
+    if (!valid) {
+      throw new Error(`Invalid narratives file ${resolved}: "categories" must map each theme to a list of category ids`);
+    }
+  }
+
+  const duplicates = [...themesById.entries()]
+    .filter(([, themes]) => themes.length > 1)
+    .map(([id, themes]) => ({ id, themes }));
+
+  return {
+    version: doc.version ?? null,
+    source: path.relative(process.cwd(), resolved),
+    narratives,
+    categories,
+    duplicates
+  };
+}
+
+function narrativeCoinIds(narratives) {
+  return [...new Set(Object.values(narratives).flat())];
+}
+
+// Ids missing from the provider's coin list, with the themes that list them
+function findUnknownIds(narratives, knownIds) {
+  const unknown = new Map();
+  for (const [theme, ids] of Object.entries(narratives)) {
+    for (const id of ids) {
+      if (!knownIds.has(id)) unknown.set(id, [...(unknown.get(id) || []), theme]);
+    }
+  }
+  return [...unknown.entries()].map(([id, themes]) => ({ id, themes }));
+}
+
+// Per-theme membership changes between two narrative maps; themes added or dropped show up
+// as every coin joining or leaving
+function diffNarratives(previous, current) {
+  const themes = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+  const changes = [];
+  for (const theme of themes) {
+    const before = new Set(previous[theme] || []);
+    const after = new Set(current[theme] || []);
+    const added = [...after].filter(id => !before.has(id));
+    const removed = [...before].filter(id => !after.has(id));
+    if (added.length || removed.length) changes.push({ theme, added, removed });
+  }
+  return changes;
+}
+
+// Compares the loaded definitions with the last recorded state and appends any differences,
+// dated with the run date. The first run records every theme's coins as joining. A version bump
+// with no membership change is recorded as one entry with theme null and no coins.
+function recordNarrativeChanges(dataDir, { version, narratives }, dateKey) {
+  const logPath = path.join(dataDir, CHANGELOG_FILE);
+  const log = fs.existsSync(logPath)
+    ? JSON.parse(fs.readFileSync(logPath, 'utf8'))
+    : { current: { version: null, narratives: {} }, changes: [] };
+
+  const changes = diffNarratives(log.current.narratives, narratives);
+  if (changes.length === 0 && log.current.version === version) return [];
+
+  const baseline = log.changes.length === 0;
+  if (changes.length === 0) {
+    changes.push({ theme: null, added: [], removed: [], previousVersion: log.current.version });
+  }
+  for (const change of changes) {
+    log.changes.push({ date: dateKey, version, ...change, ...(baseline && { baseline: true }) });
+  }
+  log.current = { version, narratives };
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(logPath, JSON.stringify(log, null, 2));
+  return changes;
+}
+
+module.exports = {
+  CHANGELOG_FILE,
+  loadNarratives,
+  narrativeCoinIds,
+  findUnknownIds,
+  diffNarratives,
+  recordNarrativeChanges
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// Alert notifiers, listed under "notifiers" in the alert rules file. Every notifier gets the same
+// payload, { date, timestamp, alerts }:
+//   webhook  POSTs the payload as JSON to `url`, with any extra `headers`
+//   slack    POSTs { text } to a Slack incoming webhook
+//   discord  POSTs { content } to a Discord webhook (2000 characters at most)
+//   file     appends one JSON line per alert to `path` (default <dataDir>/alerts.jsonl)
+// String settings may use ${NAME} to read environment variables, so webhook secrets stay out of the file.
+const REQUEST_TIMEOUT_MS = 10000;
+const DISCORD_MAX_LENGTH = 2000;
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+function expandEnv(value, env) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (env[name] == null || env[name] === '') throw new Error(`environment variable ${name} is not set`);
+    return env[name];
+  });
+}
+
+function postJson(url, body, headers = {}, timeout = REQUEST_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers },
+      timeout
+    }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          const err = new Error(`HTTP ${res.statusCode}: ${text.slice(0, 200)}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+function alertLines({ date, alerts }, bold) {
+  return [
+    `${bold(`Market alerts for ${date}`)} (${alerts.length})`,
+    ...alerts.map(a => `${SEVERITY_ICONS[a.severity] || ''} ${a.message}`.trim())
+  ];
+}
+
+class WebhookNotifier {
+  constructor({ url, headers = {}, timeout = REQUEST_TIMEOUT_MS }, { env = process.env } = {}) {
+    if (!url) throw new Error('needs a "url"');
+    this.url = expandEnv(url, env);
+    this.headers = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k, expandEnv(v, env)]));
+    this.timeout = timeout;
+  }
+
+  body(payload) {
+    return payload;
+  }
+
+  send(payload) {
+    return postJson(this.url, this.body(payload), this.headers, this.timeout);
+  }
+}
+
+class SlackNotifier extends WebhookNotifier {
+  body(payload) {
+    return { text: alertLines(payload, text => `*${text}*`).join('\n') };
+  }
+}
+
+class DiscordNotifier extends WebhookNotifier {
+  body(payload) {
+    const content = alertLines(payload, text => `**${text}**`).join('\n');
+    return { content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content };
+  }
+}
+
+class FileNotifier {
+  constructor({ path: filePath }, { env = process.env, dataDir = 'data' } = {}) {
+    this.filePath = path.resolve(filePath ? expandEnv(filePath, env) : path.join(dataDir, 'alerts.jsonl'));
+  }
+
+  async send({ date, timestamp, alerts }) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const lines = alerts.map(alert => JSON.stringify({ date, timestamp, ...alert }));
+    fs.appendFileSync(this.filePath, lines.join('\n') + '\n');
+    return this.filePath;
+  }
+}
+
+const NOTIFIERS = {
+  webhook: WebhookNotifier,
+  slack: SlackNotifier,
+  discord: DiscordNotifier,
+  file: FileNotifier
+};
+
+function createNotifier(settings = {}, options = {}) {
+  const Notifier = NOTIFIERS[settings.type];
+  if (!Notifier) {
+    throw new Error(`Unknown notifier "${settings.type}" (expected one of: ${Object.keys(NOTIFIERS).join(', ')})`);
+  }
+  return new Notifier(settings, options);
+}
+
+// Sends the payload to every notifier; one failing doesn't stop the others. Returns
+// [{ type, ok, error }] in the order of `settingsList`.
+async function notifyAll(settingsList, payload, options = {}) {
+  const results = [];
+  for (const settings of settingsList) {
+    const type = settings?.type;
+    try {
+      await createNotifier(settings, options).send(payload);
+      results.push({ type, ok: true, error: null });
+    } catch (error) {
+      results.push({ type, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  NOTIFIERS,
+  WebhookNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  FileNotifier,
+  createNotifier,
+  postJson,
+  notifyAll
+};
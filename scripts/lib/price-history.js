@@ -0,0 +1,52 @@
+const { DAY_MS } = require('./archive');
+const { mapLimit } = require('./concurrency');
+
+// Daily history per coin, fetched once per run and shared by every indicator. Requests go out
+// `concurrency` at a time; the provider's rate limiter still spaces them minDelayMs apart.
+class PriceHistoryStore {
+  constructor(provider, { days = 90, concurrency = 1 } = {}) {
+    this.provider = provider;
+    this.days = days;
+    this.concurrency = concurrency;
+    this.histories = new Map();
+    this.failed = new Map(); // id -> error message
+  }
+
+  async load(ids) {
+    const pending = [...new Set(ids)].filter(id => id && !this.histories.has(id));
+    if (pending.length === 0) return this;
+    console.log(`📚 Fetching ${this.days}-day history for ${pending.length} coins (${this.concurrency} at a time)...`);
+    const startTime = Date.now();
+    await mapLimit(pending, this.concurrency, async id => {
+      try {
+        const history = await this.provider.getHistory(id, { days: this.days });
+        if (!history?.prices || history.prices.length < 2) throw new Error('empty price series');
+        this.histories.set(id, history);
+      } catch (e) {
+        this.failed.set(id, e.message);
+        console.warn(`History fetch failed for ${id}:`, e.message);
+      }
+    });
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ Loaded ${this.histories.size} histories in ${duration}s (${this.failed.size} failed)`);
+    return this;
+  }
+
+  ids() {
+    return [...this.histories.keys()];
+  }
+
+  get(id) {
+    return this.histories.get(id) || null;
+  }
+
+  // Closing prices only, oldest first; `days` keeps just the most recent part of the series
+  prices(id, { days } = {}) {
+    const history = this.histories.get(id);
+    if (!history) return null;
+    const since = days ? history.prices[history.prices.length - 1][0] - days * DAY_MS : -Infinity;
+    return history.prices.filter(p => p[0] >= since).map(p => p[1]);
+  }
+}
+
+module.exports = { PriceHistoryStore };
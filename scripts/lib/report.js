@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const { formatNumber, formatPercent, formatPrice } = require('./format');
+const { emaPair } = require('./snapshot-diff');
+
+// Human-readable report of a snapshot, written to <dataDir>/reports/YYYY-MM-DD.md and .html.
+// The report is built once as sections of paragraphs and tables and then rendered to each format;
+// the HTML page has its styles inline and loads nothing else. Sections a snapshot doesn't have
+// (older files have no ethData, EMA signals or correlations) say so instead of failing.
+const REPORTS_DIR = 'reports';
+const REPORT_FORMATS = { markdown: 'md', html: 'html' };
+
+const TREND_WORDS = {
+  strong_bull: 'rallying strongly',
+  bullish: 'trending higher',
+  neutral: 'moving sideways',
+  bearish: 'drifting lower',
+  strong_bear: 'selling off sharply'
+};
+
+// Relative to the data directory
+function reportFile(dateKey, format) {
+  const extension = REPORT_FORMATS[format];
+  if (!extension) throw new Error(`Unknown report format "${format}" (expected one of: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  return `${REPORTS_DIR}/${dateKey}.${extension}`;
+}
+
+const usd = value => (value == null || !Number.isFinite(value) ? 'n/a' : `$${formatNumber(value)}`);
+const upOrDown = value => (value >= 0 ? 'up' : 'down');
+const symbolOf = coin => (coin.symbol || coin.id || '').toUpperCase();
+
+// Table cells are strings, or { text, tone } where tone colours the HTML cell
+function pctCell(value) {
+  return { text: formatPercent(value), tone: value == null ? null : (value >= 0 ? 'up' : 'down') };
+}
+
+function coinCell(coin) {
+  return coin.name && coin.name.toUpperCase() !== symbolOf(coin) ? `${coin.name} (${symbolOf(coin)})` : symbolOf(coin);
+}
+
+function overviewSection(snapshot) {
+  const metrics = snapshot.globalMetrics || {};
+  const dominance = snapshot.changes?.dominance || {};
+  const since = snapshot.changes?.previousDate;
+  const dominanceText = (label, value, change) => {
+    if (value == null) return null;
+    const moved = change != null ? ` (${change >= 0 ? '+' : ''}${change.toFixed(2)} pts since ${since})` : '';
+    return `${label} dominance is ${value.toFixed(2)}%${moved}`;
+  };
+
+  let capText = `The total crypto market cap is ${usd(metrics.totalMarketCap)}`;
+  if (metrics.marketCapChange24h != null) {
+    capText += `, ${upOrDown(metrics.marketCapChange24h)} ${Math.abs(metrics.marketCapChange24h).toFixed(2)}% over 24 hours`;
+  }
+  if (metrics.volume24h != null) capText += `, with ${usd(metrics.volume24h)} traded`;
+  const dominanceLine = [
+    dominanceText('Bitcoin', metrics.btcDominance, dominance.btc?.change),
+    dominanceText('Ethereum', metrics.ethDominance, dominance.eth?.change)
+  ].filter(Boolean).join('; ');
+
+  const rows = [
+    ['Total market cap', usd(metrics.totalMarketCap)],
+    ['24h change', pctCell(metrics.marketCapChange24h)],
+    ['24h volume', usd(metrics.volume24h)],
+    ['BTC dominance', metrics.btcDominance != null ? `${metrics.btcDominance.toFixed(2)}%` : 'n/a'],
+    ['ETH dominance', metrics.ethDominance != null ? `${metrics.ethDominance.toFixed(2)}%` : 'n/a'],
+    ['Market cap excluding BTC and ETH', usd(metrics.total3MarketCap)],
+    ['Active cryptocurrencies', metrics.activeCryptocurrencies != null ? metrics.activeCryptocurrencies.toLocaleString('en-US') : 'n/a']
+  ];
+  return {
+    title: 'Market overview',
+    paragraphs: [`${capText}.`, dominanceLine ? `${dominanceLine}.` : null].filter(Boolean),
+    tables: [{ columns: [{ label: 'Metric' }, { label: 'Value', align: 'right' }], rows }]
+  };
+}
+
+function assetCommentary(name, data) {
+  if (!data || data.currentPrice == null) return null;
+  const changes = [`${formatPercent(data.priceChange24h)} over 24 hours`];
+  if (data.priceChange7d != null) changes.push(`${formatPercent(data.priceChange7d)} over 7 days`);
+  let text = `${name} is ${TREND_WORDS[data.trend] || 'trading'} at ${formatPrice(data.currentPrice)} (${changes.join(', ')}).`;
+  if (data.athDistance != null) {
+    text += data.athDistance > -0.5
+      ? ' It is trading at its all-time high.'
+      : ` It is ${Math.abs(data.athDistance).toFixed(1)}% below its all-time high of ${formatPrice(data.ath)}.`;
+  }
+  if (data.realizedVolatility != null) text += ` Annualized realized volatility is ${data.realizedVolatility.toFixed(1)}%.`;
+  return text;
+}
+
+function majorsSection(snapshot) {
+  const paragraphs = [
+    assetCommentary('Bitcoin', snapshot.btcData),
+    assetCommentary('Ethereum', snapshot.ethData)
+  ].filter(Boolean);
+  return { title: 'Bitcoin and Ethereum', paragraphs: paragraphs.length > 0 ? paragraphs : ['Not recorded in this snapshot.'], tables: [] };
+}
+
+function moverTable(caption, coins, rows) {
+  return {
+    caption,
+    columns: [
+      { label: '#', align: 'right' }, { label: 'Coin' }, { label: 'Price', align: 'right' },
+      { label: '24h', align: 'right' }, { label: '7d', align: 'right' },
+      { label: 'Market cap', align: 'right' }, { label: '24h volume', align: 'right' }
+    ],
+    rows: coins.slice(0, rows).map((coin, i) => [
+      String(i + 1),
+      coinCell(coin),
+      formatPrice(coin.current_price),
+      pctCell(coin.price_change_percentage_24h),
+      pctCell(coin.price_change_percentage_7d_in_currency),
+      usd(coin.market_cap),
+      usd(coin.total_volume)
+    ])
+  };
+}
+
+function moversSection(snapshot, rows) {
+  const gainers = snapshot.topGainers24h || [];
+  const losers = snapshot.topLosers24h || [];
+  const paragraphs = [];
+  if (gainers.length > 0 && losers.length > 0) {
+    const [best] = gainers;
+    const [worst] = losers;
+    paragraphs.push(`${coinCell(best)} led the day's gainers at ${formatPercent(best.price_change_percentage_24h)}, `
+      + `while ${coinCell(worst)} fell the most at ${formatPercent(worst.price_change_percentage_24h)}.`);
+  }
+  if (snapshot.moverFilters) {
+    const { screened, eligible } = snapshot.moverFilters;
+    paragraphs.push(`${eligible} of the ${screened} largest coins passed the liquidity screens and were ranked.`);
+  }
+  return {
+    title: 'Top movers',
+    paragraphs,
+    tables: [
+      moverTable('Top gainers (24h)', gainers, rows),
+      moverTable('Top losers (24h)', losers, rows),
+      moverTable('Top gainers (7d)', snapshot.topGainers7d || [], rows)
+    ]
+  };
+}
+
+function narrativesSection(snapshot) {
+  const themes = Object.entries(snapshot.narrativeData || {})
+    .sort(([, a], [, b]) => (b.change24h ?? -Infinity) - (a.change24h ?? -Infinity));
+  if (themes.length === 0) return { title: 'Narratives', paragraphs: ['Not recorded in this snapshot.'], tables: [] };
+
+  const [leader, leaderData] = themes[0];
+  const [laggard, laggardData] = themes[themes.length - 1];
+  const paragraphs = [`${leader} led the narratives over 24 hours (${formatPercent(leaderData.change24h)}), and ${laggard} trailed (${formatPercent(laggardData.change24h)}).`];
+  const weekly = [...themes].sort(([, a], [, b]) => (b.change7d ?? -Infinity) - (a.change7d ?? -Infinity))[0];
+  if (weekly) paragraphs.push(`Over 7 days, ${weekly[0]} is ahead at ${formatPercent(weekly[1].change7d)}.`);
+  const leaders = snapshot.changes?.narratives?.leaders;
+  if (leaders?.change24h?.changed && leaders.change24h.previous) {
+    paragraphs.push(`${leader} took the 24h lead from ${leaders.change24h.previous}.`);
+  }
+
+  return {
+    title: 'Narratives',
+    paragraphs,
+    tables: [{
+      columns: [
+        { label: 'Narrative' }, { label: '24h', align: 'right' }, { label: '7d', align: 'right' },
+        { label: 'Market cap', align: 'right' }, { label: 'Coins', align: 'right' }, { label: 'Best performer' }
+      ],
+      rows: themes.map(([theme, data]) => {
+        const best = data.topPerformers?.[0];
+        return [
+          theme,
+          pctCell(data.change24h),
+          pctCell(data.change7d),
+          usd(data.marketCap),
+          String(data.coinCount ?? ''),
+          best ? `${symbolOf(best)} ${formatPercent(best.change24h)}` : ''
+        ];
+      })
+    }]
+  };
+}
+
+function emaSection(snapshot, rows) {
+  if (!snapshot.emaCrossovers) return { title: 'EMA signals', paragraphs: ['Not recorded in this snapshot.'], tables: [] };
+  const ranks = new Map((snapshot.marketCapRanking || []).map((id, i) => [id, i + 1]));
+  const signals = snapshot.emaCrossovers
+    .filter(e => e.signal && e.signal !== 'none')
+    .sort((a, b) => (ranks.get(a.id) ?? Infinity) - (ranks.get(b.id) ?? Infinity) || (a.daysAgo ?? 0) - (b.daysAgo ?? 0));
+  if (signals.length === 0) return { title: 'EMA signals', paragraphs: ['No coin has a recent EMA crossover.'], tables: [] };
+
+  const bullish = signals.filter(e => e.signal === 'bullish').length;
+  let text = `${signals.length} recent EMA crossovers: ${bullish} bullish and ${signals.length - bullish} bearish.`;
+  const fresh = snapshot.changes?.newEmaSignals;
+  if (fresh) text += ` ${fresh.length} of them are new since ${snapshot.changes.previousDate}.`;
+  const shown = signals.slice(0, rows * 2);
+  return {
+    title: 'EMA signals',
+    paragraphs: [text],
+    tables: [{
+      caption: shown.length < signals.length ? `Largest ${shown.length} coins` : null,
+      columns: [
+        { label: 'Coin' }, { label: 'Pair' }, { label: 'Signal' }, { label: 'Crossed', align: 'right' },
+        { label: 'Spread', align: 'right' }, { label: '24h', align: 'right' }
+      ],
+      rows: shown.map(e => [
+        coinCell(e),
+        emaPair(e),
+        { text: e.signal, tone: e.signal === 'bullish' ? 'up' : 'down' },
+        e.daysAgo != null ? `${e.daysAgo}d ago` : (e.crossoverDate || ''),
+        e.spreadPercent != null ? formatPercent(e.spreadPercent) : 'n/a',
+        pctCell(e.priceChange24h)
+      ])
+    }]
+  };
+}
+
+// From the correlation lists the snapshot keeps, highest beta first
+function betaSection(snapshot, rows) {
+  const analysis = snapshot.correlationAnalysis;
+  const byId = new Map();
+  for (const entry of [...(analysis?.topCorrelated || []), ...(analysis?.topDownsideBeta || [])]) {
+    if (entry.beta != null) byId.set(entry.id, entry);
+  }
+  const coins = [...byId.values()].sort((a, b) => b.beta - a.beta).slice(0, rows);
+  if (coins.length === 0) {
+    const reason = analysis?.benchmark?.skipped ? `Correlations were skipped: ${analysis.benchmark.skipped}.` : 'Not recorded in this snapshot.';
+    return { title: 'Highest-beta coins', paragraphs: [reason], tables: [] };
+  }
+  return {
+    title: 'Highest-beta coins',
+    paragraphs: [
+      'Beta measures how much a coin has moved with the market excluding BTC and ETH (TOTAL3) over the analysis window. '
+        + 'A beta of 1.5 means the coin has tended to move one and a half times as much as that market; downside beta counts only the market\'s down days.'
+    ],
+    tables: [{
+      columns: [
+        { label: 'Coin' }, { label: 'Beta', align: 'right' }, { label: 'Downside beta', align: 'right' },
+        { label: 'Correlation', align: 'right' }, { label: '24h', align: 'right' }, { label: 'Market cap', align: 'right' }
+      ],
+      rows: coins.map(c => [
+        coinCell(c),
+        c.beta.toFixed(2),
+        c.downsideBeta != null ? c.downsideBeta.toFixed(2) : 'n/a',
+        c.correlation != null ? c.correlation.toFixed(2) : 'n/a',
+        pctCell(c.priceChange24h),
+        usd(c.marketCap)
+      ])
+    }]
+  };
+}
+
+// rows: how many coins each table lists (the EMA table lists twice as many)
+function buildReport(snapshot, { rows = 10 } = {}) {
+  return {
+    title: `Crypto market report: ${snapshot.date}`,
+    subtitle: `Data as of ${snapshot.timestamp.slice(0, 16).replace('T', ' ')} UTC`,
+    sections: [
+      overviewSection(snapshot),
+      majorsSection(snapshot),
+      moversSection(snapshot, rows),
+      narrativesSection(snapshot),
+      emaSection(snapshot, rows),
+      betaSection(snapshot, rows)
+    ]
+  };
+}
+
+const cellText = cell => (cell != null && typeof cell === 'object' ? cell.text : String(cell ?? ''));
+
+function toMarkdown(report) {
+  const lines = [`# ${report.title}`, '', `_${report.subtitle}_`, ''];
+  for (const section of report.sections) {
+    lines.push(`## ${section.title}`, '');
+    for (const paragraph of section.paragraphs) lines.push(paragraph, '');
+    for (const table of section.tables) {
+      if (table.rows.length === 0) continue;
+      if (table.caption) lines.push(`**${table.caption}**`, '');
+      const escape = text => text.replace(/\|/g, '\\|');
+      lines.push(`| ${table.columns.map(c => escape(c.label)).join(' | ')} |`);
+      lines.push(`| ${table.columns.map(c => (c.align === 'right' ? '---:' : '---')).join(' | ')} |`);
+      for (const row of table.rows) lines.push(`| ${row.map(cell => escape(cellText(cell))).join(' | ')} |`);
+      lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #0f172a; background: #f8fafc; margin: 0; }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 24px 48px; }
+  h1 { margin-bottom: 4px; }
+  .subtitle { color: #64748b; margin-top: 0; }
+  h2 { margin-top: 40px; border-bottom: 1px solid #e2e8f0; padding-bottom: 6px; }
+  h3 { font-size: 1rem; margin: 24px 0 8px; }
+  p { line-height: 1.55; }
+  table { border-collapse: collapse; width: 100%; background: #fff; font-size: 0.92rem; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+  th { background: #f1f5f9; font-weight: 600; }
+  .right { text-align: right; font-variant-numeric: tabular-nums; }
+  .up { color: #15803d; }
+  .down { color: #b91c1c; }
+`;
+
+function toHtml(report) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p class="subtitle">${escapeHtml(report.subtitle)}</p>`
+  ];
+  for (const section of report.sections) {
+    parts.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    for (const paragraph of section.paragraphs) parts.push(`<p>${escapeHtml(paragraph)}</p>`);
+    for (const table of section.tables) {
+      if (table.rows.length === 0) continue;
+      if (table.caption) parts.push(`<h3>${escapeHtml(table.caption)}</h3>`);
+      const cellClass = (column, cell) => {
+        const classes = [column.align === 'right' ? 'right' : null, cell?.tone || null].filter(Boolean);
+        return classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+      };
+      parts.push('<table>');
+      parts.push(`<thead><tr>${table.columns.map(c => `<th${cellClass(c)}>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>`);
+      parts.push('<tbody>');
+      for (const row of table.rows) {
+        parts.push(`<tr>${row.map((cell, i) => `<td${cellClass(table.columns[i], cell)}>${escapeHtml(cellText(cell))}</td>`).join('')}</tr>`);
+      }
+      parts.push('</tbody>', '</table>');
+    }
+  }
+  parts.push('</main>', '</body>', '</html>', '');
+  return parts.join('\n');
+}
+
+const RENDERERS = { markdown: toMarkdown, html: toHtml };
+
+// Writes the report of a snapshot in each of `formats`; returns the paths
+function writeReport(dataDir, snapshot, { formats = Object.keys(REPORT_FORMATS), rows = 10 } = {}) {
+  const report = buildReport(snapshot, { rows });
+  return formats.map(format => {
+    const filePath = path.join(dataDir, reportFile(snapshot.date, format));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, RENDERERS[format](report));
+    return filePath;
+  });
+}
+
+module.exports = {
+  REPORTS_DIR,
+  REPORT_FORMATS,
+  reportFile,
+  buildReport,
+  toMarkdown,
+  toHtml,
+  writeReport
+};
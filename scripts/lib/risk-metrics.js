@@ -0,0 +1,94 @@
+const { realizedVolatility } = require('./benchmarks');
+
+// The `riskMetrics` section: per-coin risk over the correlation window (analysis.historyDays) of
+// daily closes. Ratios are annualized over 365 days; VaR/CVaR are historical, one-day, in percent.
+const DAYS_PER_YEAR = 365;
+const RANKINGS = {
+  lowestVolatility: { field: 'volatility', order: 'asc' },
+  highestVolatility: { field: 'volatility', order: 'desc' },
+  worstDrawdown: { field: 'maxDrawdown', order: 'asc' },
+  bestSharpe: { field: 'sharpe', order: 'desc' },
+  bestSortino: { field: 'sortino', order: 'desc' },
+  worstVar95: { field: 'var95', order: 'asc' }
+};
+
+const round = (value, digits = 2) => (value == null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+function simpleReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] > 0) returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+  }
+  return returns;
+}
+
+// Deepest peak-to-trough fall (negative percent) and the number of bars since the highest close
+function drawdownStats(closes) {
+  let peak = closes[0];
+  let peakIndex = 0;
+  let maxDrawdown = 0;
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i] >= peak) {
+      peak = closes[i];
+      peakIndex = i;
+    } else {
+      maxDrawdown = Math.min(maxDrawdown, (closes[i] - peak) / peak);
+    }
+  }
+  return { maxDrawdown: maxDrawdown * 100, daysSinceHigh: closes.length - 1 - peakIndex };
+}
+
+// 5th-percentile daily return and the average of the returns at or below it
+function valueAtRisk(returns, confidence = 0.95) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = Math.max(0, Math.floor((1 - confidence) * sorted.length) - 1);
+  const tail = sorted.slice(0, index + 1);
+  return { var95: sorted[index] * 100, cvar95: mean(tail) * 100 };
+}
+
+// closes: daily closes, oldest first. riskFreeRate is annual, in percent. Null when there are
+// fewer than minDays returns.
+function computeRiskMetrics(closes, { riskFreeRate = 0, minDays = 30 } = {}) {
+  const valid = (closes || []).filter(c => c > 0);
+  const returns = simpleReturns(valid);
+  if (returns.length < minDays) return null;
+
+  const dailyRiskFree = riskFreeRate / 100 / DAYS_PER_YEAR;
+  const excess = returns.map(r => r - dailyRiskFree);
+  const avg = mean(excess);
+  const sd = Math.sqrt(excess.reduce((sum, r) => sum + (r - avg) ** 2, 0) / (excess.length - 1));
+  const downside = Math.sqrt(mean(excess.map(r => Math.min(r, 0) ** 2)));
+  const annualExcess = avg * DAYS_PER_YEAR;
+  const { maxDrawdown, daysSinceHigh } = drawdownStats(valid);
+  const { var95, cvar95 } = valueAtRisk(returns);
+  return {
+    days: returns.length,
+    volatility: round(realizedVolatility(valid, returns.length)),
+    maxDrawdown: round(maxDrawdown),
+    daysSinceHigh,
+    sharpe: sd > 0 ? round(annualExcess / (sd * Math.sqrt(DAYS_PER_YEAR)), 3) : null,
+    sortino: downside > 0 ? round(annualExcess / (downside * Math.sqrt(DAYS_PER_YEAR)), 3) : null,
+    var95: round(var95),
+    cvar95: round(cvar95)
+  };
+}
+
+// entries: [{ id, symbol, ...metrics }]; each ranking lists the top `size` coins by its field
+function rankRiskMetrics(entries, size = 10) {
+  const rankings = {};
+  for (const [name, { field, order }] of Object.entries(RANKINGS)) {
+    rankings[name] = entries
+      .filter(e => e[field] != null)
+      .sort((a, b) => (order === 'asc' ? a[field] - b[field] : b[field] - a[field]))
+      .slice(0, size)
+      .map(e => ({ id: e.id, symbol: e.symbol, value: e[field] }));
+  }
+  return rankings;
+}
+
+module.exports = {
+  RANKINGS,
+  computeRiskMetrics,
+  rankRiskMetrics
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { shiftDateKey, dateRange, listSnapshotDates, loadSnapshot } = require('./archive');
+
+// Trailing-window aggregates over the dated snapshots in data/: daily market series with
+// summary stats, compounded narrative returns, and how often each coin made the mover lists.
+// Days without a snapshot are listed in `missingDates` and left out of every figure.
+const MOVER_LISTS = ['topGainers24h', 'topLosers24h', 'topGainers7d'];
+const MARKET_FIELDS = ['totalMarketCap', 'total3MarketCap', 'btcDominance', 'ethDominance'];
+
+function rollupFileName(windowDays) {
+  return `rollup-${windowDays}d.json`;
+}
+
+// TOTAL3 is the market excluding BTC and ETH; older snapshots only carry the dominances
+function marketPoint(snapshot) {
+  const { totalMarketCap, total3MarketCap, btcDominance, ethDominance } = snapshot.globalMetrics;
+  return {
+    date: snapshot.date,
+    totalMarketCap,
+    total3MarketCap: total3MarketCap ?? totalMarketCap * (1 - (btcDominance + ethDominance) / 100),
+    btcDominance,
+    ethDominance
+  };
+}
+
+function seriesStats(values) {
+  if (values.length === 0) return null;
+  const first = values[0];
+  const last = values[values.length - 1];
+  return {
+    first,
+    last,
+    change: last - first,
+    changePercent: first ? ((last - first) / first) * 100 : null,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: values.reduce((a, b) => a + b, 0) / values.length
+  };
+}
+
+// Compounds daily percent changes into one percent change
+function compound(changes) {
+  return (changes.reduce((growth, change) => growth * (1 + change / 100), 1) - 1) * 100;
+}
+
+function narrativeRollup(snapshots) {
+  const days = new Map();
+  for (const snapshot of snapshots) {
+    for (const [theme, narrative] of Object.entries(snapshot.narrativeData || {})) {
+      days.set(theme, [...(days.get(theme) || []), { date: snapshot.date, ...narrative }]);
+    }
+  }
+
+  const narratives = {};
+  for (const [theme, entries] of days) {
+    const byChange = [...entries].sort((a, b) => b.change24h - a.change24h);
+    const capWeighted = entries.every(e => e.returns)
+      ? compound(entries.map(e => e.returns.capWeighted.change24h))
+      : null;
+    narratives[theme] = {
+      days: entries.length,
+      cumulativeChange: compound(entries.map(e => e.change24h)),
+      capWeightedCumulativeChange: capWeighted,
+      averageChange24h: entries.reduce((sum, e) => sum + e.change24h, 0) / entries.length,
+      bestDay: { date: byChange[0].date, change24h: byChange[0].change24h },
+      worstDay: { date: byChange[byChange.length - 1].date, change24h: byChange[byChange.length - 1].change24h },
+      series: entries.map(e => ({ date: e.date, change24h: e.change24h, marketCap: e.marketCap }))
+    };
+  }
+  return narratives;
+}
+
+// Coins by number of days on each list; `share` is the fraction of days in the window
+function coinFrequency(snapshots, topCoins) {
+  const frequency = {};
+  for (const list of MOVER_LISTS) {
+    const counts = new Map();
+    for (const snapshot of snapshots) {
+      for (const coin of snapshot[list] || []) {
+        const entry = counts.get(coin.id) || { id: coin.id, symbol: (coin.symbol || '').toUpperCase(), name: coin.name, count: 0 };
+        entry.count++;
+        counts.set(coin.id, entry);
+      }
+    }
+    frequency[list] = [...counts.values()]
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id))
+      .slice(0, topCoins)
+      .map(entry => ({ ...entry, share: entry.count / snapshots.length }));
+  }
+  return frequency;
+}
+
+function buildRollup(snapshots, { windowDays, from, to, topCoins }) {
+  const present = new Set(snapshots.map(s => s.date));
+  const series = snapshots.map(marketPoint);
+  const market = {};
+  for (const field of MARKET_FIELDS) market[field] = seriesStats(series.map(point => point[field]));
+  return {
+    window: windowDays,
+    from,
+    to,
+    generatedAt: new Date().toISOString(),
+    days: snapshots.length,
+    missingDates: dateRange(from, to).filter(d => !present.has(d)),
+    series,
+    market,
+    narratives: narrativeRollup(snapshots),
+    coinFrequency: coinFrequency(snapshots, topCoins)
+  };
+}
+
+// One rollup per window, each ending on `to` (default: the newest snapshot). Snapshots are
+// read once for the longest window.
+function buildRollups(dataDir, { windows, topCoins, to }) {
+  const dates = listSnapshotDates(dataDir);
+  const end = to || dates[dates.length - 1];
+  if (!end) throw new Error(`No snapshots in ${dataDir}`);
+
+  const longest = Math.max(...windows);
+  const earliest = shiftDateKey(end, -(longest - 1));
+  const snapshots = dates
+    .filter(d => d >= earliest && d <= end)
+    .map(d => loadSnapshot(d, dataDir));
+
+  return windows.map(windowDays => {
+    const from = shiftDateKey(end, -(windowDays - 1));
+    const inWindow = snapshots.filter(s => s.date >= from);
+    return buildRollup(inWindow, { windowDays, from, to: end, topCoins });
+  });
+}
+
+function writeRollups(outDir, rollups) {
+  fs.mkdirSync(outDir, { recursive: true });
+  return rollups.map(rollup => {
+    const filePath = path.join(outDir, rollupFileName(rollup.window));
+    fs.writeFileSync(filePath, JSON.stringify(rollup, null, 2));
+    return filePath;
+  });
+}
+
+module.exports = {
+  rollupFileName,
+  buildRollups,
+  writeRollups
+};
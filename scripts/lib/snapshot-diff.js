@@ -0,0 +1,108 @@
+// Day-over-day changes between two snapshots: the `changes` section of each new snapshot and
+// the diff-snapshots command. Snapshots from before marketCapRanking existed have no top-500
+// list, so universe and rank changes are null for them.
+const LISTS = ['topGainers24h', 'topLosers24h', 'topGainers7d'];
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+function coinRef(coin) {
+  return { id: coin.id, symbol: (coin.symbol || '').toUpperCase() };
+}
+
+function listChanges(previous = [], current = []) {
+  const before = new Set(previous.map(c => c.id));
+  const after = new Set(current.map(c => c.id));
+  return {
+    entered: current.filter(c => !before.has(c.id)).map(coinRef),
+    left: previous.filter(c => !after.has(c.id)).map(coinRef)
+  };
+}
+
+function universeChanges(previous, current, { minRankMove, maxRankMoves }) {
+  if (!previous.marketCapRanking || !current.marketCapRanking) return { universe: null, rankMoves: null };
+  const previousRanks = new Map(previous.marketCapRanking.map((id, i) => [id, i + 1]));
+  const currentRanks = new Map(current.marketCapRanking.map((id, i) => [id, i + 1]));
+  const rankMoves = [];
+  for (const [id, rank] of currentRanks) {
+    const previousRank = previousRanks.get(id);
+    if (previousRank != null && Math.abs(previousRank - rank) >= minRankMove) {
+      rankMoves.push({ id, previousRank, rank, change: previousRank - rank });
+    }
+  }
+  rankMoves.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.rank - b.rank);
+  return {
+    universe: {
+      entered: [...currentRanks].filter(([id]) => !previousRanks.has(id)).map(([id, rank]) => ({ id, rank })),
+      left: [...previousRanks].filter(([id]) => !currentRanks.has(id)).map(([id, previousRank]) => ({ id, previousRank }))
+    },
+    rankMoves: rankMoves.slice(0, maxRankMoves)
+  };
+}
+
+// Entries from before pairs were configurable carry only their two EMAs
+function emaPair(entry) {
+  if (entry.pair) return entry.pair;
+  return Object.keys(entry).map(key => /^ema(\d+)$/.exec(key)).filter(Boolean)
+    .map(m => Number(m[1])).sort((a, b) => a - b).join('/');
+}
+
+// Crossover signals that yesterday's snapshot didn't already show (same coin, pair and signal)
+function newEmaSignals(previous = [], current = []) {
+  const seen = new Set(previous.filter(e => e.signal !== 'none').map(e => `${e.id}|${emaPair(e)}|${e.signal}`));
+  return current
+    .filter(e => e.signal !== 'none' && !seen.has(`${e.id}|${emaPair(e)}|${e.signal}`))
+    .map(e => ({
+      ...coinRef(e),
+      pair: emaPair(e),
+      signal: e.signal,
+      daysAgo: e.daysAgo,
+      crossoverDate: e.crossoverDate ?? null
+    }));
+}
+
+// Themes ordered by a change field, best first
+function narrativeOrder(narrativeData = {}, key) {
+  return Object.entries(narrativeData).sort(([, a], [, b]) => b[key] - a[key]).map(([theme]) => theme);
+}
+
+function narrativeChanges(previous, current) {
+  const leaders = {};
+  for (const key of ['change24h', 'change7d']) {
+    const prev = narrativeOrder(previous, key)[0] ?? null;
+    const curr = narrativeOrder(current, key)[0] ?? null;
+    leaders[key] = { previous: prev, current: curr, changed: prev !== curr };
+  }
+  const previousRanks = new Map(narrativeOrder(previous, 'change24h').map((theme, i) => [theme, i + 1]));
+  const rankChanges = narrativeOrder(current, 'change24h')
+    .map((theme, i) => ({ theme, previousRank: previousRanks.get(theme) ?? null, rank: i + 1 }))
+    .filter(({ previousRank, rank }) => previousRank !== rank);
+  return { leaders, rankChanges };
+}
+
+// The change is taken between the rounded values, so it matches the figures shown next to it
+function dominanceChange(previous, current) {
+  const from = round(previous);
+  const to = round(current);
+  return { previous: from, current: to, change: round(to - from) };
+}
+
+function diffSnapshots(previous, current, { minRankMove = 25, maxRankMoves = 20 } = {}) {
+  const lists = {};
+  for (const key of LISTS) lists[key] = listChanges(previous[key], current[key]);
+  return {
+    previousDate: previous.date,
+    ...universeChanges(previous, current, { minRankMove, maxRankMoves }),
+    lists,
+    newEmaSignals: newEmaSignals(previous.emaCrossovers, current.emaCrossovers),
+    narratives: narrativeChanges(previous.narrativeData, current.narrativeData),
+    dominance: {
+      btc: dominanceChange(previous.globalMetrics.btcDominance, current.globalMetrics.btcDominance),
+      eth: dominanceChange(previous.globalMetrics.ethDominance, current.globalMetrics.ethDominance)
+    }
+  };
+}
+
+module.exports = {
+  emaPair,
+  diffSnapshots
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'schema', 'daily-snapshot.schema.json');
+const MARKET_TABLE_SCHEMA_PATH = path.join(__dirname, '..', '..', 'schema', 'market-table.schema.json');
+const CORRELATION_MATRIX_SCHEMA_PATH = path.join(__dirname, '..', '..', 'schema', 'correlation-matrix.schema.json');
+
+let ajv = null;
+const compiled = new Map();
+function getValidator(schemaPath) {
+  if (!compiled.has(schemaPath)) {
+    ajv = ajv || new Ajv({ allErrors: true, strict: false });
+    compiled.set(schemaPath, ajv.compile(require(schemaPath)));
+  }
+  return compiled.get(schemaPath);
+}
+
+// "$.topGainers7d[3]._7d: must be number" style messages, capped so one bad array doesn't flood the log
+function formatErrors(errors, limit = 20) {
+  const messages = (errors || []).map(e => {
+    const where = e.instancePath.replace(/\/(\d+)(?=\/|$)/g, '[$1]').replace(/\//g, '.');
+    const extra = e.keyword === 'additionalProperties' ? ` (${e.params.additionalProperty})` : '';
+    return `$${where}: ${e.message}${extra}`;
+  });
+  const unique = [...new Set(messages)];
+  if (unique.length > limit) {
+    return [...unique.slice(0, limit), `... and ${unique.length - limit} more`];
+  }
+  return unique;
+}
+
+function validateAgainst(schemaPath, doc) {
+  const validate = getValidator(schemaPath);
+  const valid = validate(doc);
+  return { valid, errors: valid ? [] : formatErrors(validate.errors) };
+}
+
+function validateSnapshot(snapshot) {
+  return validateAgainst(SCHEMA_PATH, snapshot);
+}
+
+// Companion data/markets/YYYY-MM-DD.json files
+function validateMarketTable(table) {
+  return validateAgainst(MARKET_TABLE_SCHEMA_PATH, table);
+}
+
+// Companion data/correlations/YYYY-MM-DD.json files
+function validateCorrelationMatrix(doc) {
+  return validateAgainst(CORRELATION_MATRIX_SCHEMA_PATH, doc);
+}
+
+class SnapshotValidationError extends Error {
+  constructor(date, errors, schemaPath = SCHEMA_PATH) {
+    super(`Snapshot ${date} does not match ${path.basename(schemaPath)}:\n   - ${errors.join('\n   - ')}`);
+    this.name = 'SnapshotValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  MARKET_TABLE_SCHEMA_PATH,
+  CORRELATION_MATRIX_SCHEMA_PATH,
+  validateSnapshot,
+  validateMarketTable,
+  validateCorrelationMatrix,
+  SnapshotValidationError
+};
@@ -0,0 +1,78 @@
+const { DAY_MS } = require('./archive');
+
+// The `stablecoins` section: peg deviation, circulating-supply growth and market share of the
+// tracked USD stablecoins. Past supplies come from a history (market cap / price), so the section
+// needs no earlier snapshots.
+const USD_PEG = 1;
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+const pctChange = (from, to) => (from > 0 && to != null ? round(((to - from) / from) * 100, 3) : null);
+
+// Circulating supply `days` before the last point of a { prices, marketCaps } history, from the
+// point closest to that time; null when the history doesn't reach back that far
+function supplyFromHistory(history, days) {
+  if (!history?.prices?.length || !history.marketCaps?.length) return null;
+  const { prices, marketCaps } = history;
+  const target = prices[prices.length - 1][0] - days * DAY_MS;
+  if (prices[0][0] > target + DAY_MS / 2) return null;
+  let best = null;
+  for (const point of marketCaps) {
+    if (!best || Math.abs(point[0] - target) < Math.abs(best[0] - target)) best = point;
+  }
+  const price = prices.find(p => p[0] === best[0]);
+  return price && price[1] > 0 ? best[1] / price[1] : null;
+}
+
+// Supply implied by market cap / price, the same measure supplyFromHistory uses for the past, so
+// supply changes compare like with like. The reported circulating_supply is shown but not compared.
+function impliedSupply(coin) {
+  return coin.current_price > 0 && coin.market_cap > 0 ? coin.market_cap / coin.current_price : null;
+}
+
+// coins: /coins/markets rows of the tracked stablecoins; supplyAgo(id, days) -> past supply or null.
+// pegBand is the allowed deviation from the peg, in percent.
+function buildStablecoinSection(coins, { totalMarketCap, pegBand, supplyAgo }) {
+  const implied = new Map();
+  const entries = coins.map(coin => {
+    const supply = impliedSupply(coin);
+    implied.set(coin.id, supply);
+    const pegDeviation = coin.current_price != null ? round(((coin.current_price - USD_PEG) / USD_PEG) * 100, 3) : null;
+    return {
+      id: coin.id,
+      symbol: (coin.symbol || '').toUpperCase(),
+      name: coin.name,
+      peg: USD_PEG,
+      price: coin.current_price ?? null,
+      pegDeviation,
+      offPeg: pegDeviation != null && Math.abs(pegDeviation) > pegBand,
+      marketCap: coin.market_cap ?? null,
+      shareOfMarketCap: totalMarketCap && coin.market_cap ? round((coin.market_cap / totalMarketCap) * 100, 3) : null,
+      circulatingSupply: coin.circulating_supply > 0 ? coin.circulating_supply : supply,
+      supplyChange24h: pctChange(supplyAgo(coin.id, 1), supply),
+      supplyChange7d: pctChange(supplyAgo(coin.id, 7), supply)
+    };
+  });
+
+  // Aggregate supply change over the coins with a value for both ends of the period
+  const totalChange = (days, field) => {
+    const withChange = entries.filter(e => e[field] != null);
+    const now = withChange.reduce((sum, e) => sum + implied.get(e.id), 0);
+    const before = withChange.reduce((sum, e) => sum + supplyAgo(e.id, days), 0);
+    return withChange.length > 0 ? pctChange(before, now) : null;
+  };
+  const marketCap = entries.reduce((sum, e) => sum + (e.marketCap || 0), 0);
+  return {
+    pegBand,
+    totalMarketCap: marketCap,
+    shareOfMarketCap: totalMarketCap ? round((marketCap / totalMarketCap) * 100, 3) : null,
+    supplyChange24h: totalChange(1, 'supplyChange24h'),
+    supplyChange7d: totalChange(7, 'supplyChange7d'),
+    offPeg: entries.filter(e => e.offPeg).map(e => e.id),
+    coins: entries.sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))
+  };
+}
+
+module.exports = {
+  supplyFromHistory,
+  buildStablecoinSection
+};
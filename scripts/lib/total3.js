@@ -0,0 +1,114 @@
+const { listSnapshotDates, loadSnapshot, shiftDateKey } = require('./archive');
+
+// TOTAL3 (total market cap without BTC and ETH) history for the correlation analysis. Every method
+// returns dated points, [{ date, value }] oldest first with one point per UTC day, so returns can
+// be matched to each coin's returns by date:
+//   global-chart  provider total market cap history minus the BTC and ETH market caps
+//   archive       globalMetrics.total3MarketCap of the snapshots in data/
+//   universe      summed market caps of the analysis universe's other coins
+const utcDate = ts => new Date(ts).toISOString().slice(0, 10);
+
+// Last value of each UTC day of a [ms, value] series
+function byUtcDay(series = []) {
+  const days = new Map();
+  for (const [ts, value] of series) {
+    if (Number.isFinite(value)) days.set(utcDate(ts), value);
+  }
+  return days;
+}
+
+function toPoints(days) {
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, value]) => ({ date, value }));
+}
+
+function lastDays(points, days) {
+  return points.slice(-(days + 1));
+}
+
+function total3FromGlobalChart(chart, btcHistory, ethHistory, days) {
+  const total = byUtcDay(chart?.marketCaps);
+  const btc = byUtcDay(btcHistory?.marketCaps);
+  const eth = byUtcDay(ethHistory?.marketCaps);
+  const result = new Map();
+  for (const [date, cap] of total) {
+    if (btc.has(date) && eth.has(date)) result.set(date, cap - btc.get(date) - eth.get(date));
+  }
+  return lastDays(toPoints(result), days);
+}
+
+function snapshotTotal3({ totalMarketCap, total3MarketCap, btcDominance, ethDominance }) {
+  if (total3MarketCap != null) return total3MarketCap;
+  return totalMarketCap * (1 - (btcDominance + ethDominance) / 100);
+}
+
+// Snapshots of the last `days` days before dateKey, dated by their UTC timestamp; `current` is the
+// run's own globalMetrics, added as the latest point on the UTC day of `now` (the run's clock)
+function total3FromArchive(dataDir, dateKey, days, current, now = Date.now()) {
+  const from = shiftDateKey(dateKey, -(days + 1));
+  const result = new Map();
+  for (const date of listSnapshotDates(dataDir).filter(d => d >= from && d < dateKey)) {
+    const snapshot = loadSnapshot(date, dataDir);
+    if (!snapshot.globalMetrics?.totalMarketCap) continue;
+    result.set(utcDate(snapshot.timestamp), snapshotTotal3(snapshot.globalMetrics));
+  }
+  if (current?.totalMarketCap) result.set(utcDate(now), snapshotTotal3(current));
+  return lastDays(toPoints(result), days);
+}
+
+// Only coins with a market cap on every one of the last `days` + 1 days are summed, so coins
+// listed partway through the window don't show up as jumps in the series
+function total3FromHistories(histories, ids, days) {
+  const caps = ids
+    .filter(id => id !== 'bitcoin' && id !== 'ethereum')
+    .map(id => byUtcDay(histories.get(id)?.marketCaps))
+    .filter(coinDays => coinDays.size > 0);
+  const latest = caps.reduce((max, coinDays) => {
+    const last = [...coinDays.keys()].pop();
+    return last > max ? last : max;
+  }, '');
+  if (!latest) return [];
+  const dates = Array.from({ length: days + 1 }, (_, i) => shiftDateKey(latest, i - days));
+  const complete = caps.filter(coinDays => dates.every(date => coinDays.get(date) > 0));
+  if (complete.length === 0) return [];
+  return dates.map(date => ({ date, value: complete.reduce((sum, coinDays) => sum + coinDays.get(date), 0) }));
+}
+
+// Daily returns keyed by the date they end on; only consecutive days give a return
+function datedReturns(points) {
+  const returns = new Map();
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (shiftDateKey(prev.date, 1) !== curr.date || !(prev.value > 0)) continue;
+    returns.set(curr.date, (curr.value - prev.value) / prev.value);
+  }
+  return returns;
+}
+
+// Why a benchmark series can't be used, or null when it can
+function degenerateReason(returns, minPoints) {
+  if (returns.size < minPoints) return `only ${returns.size} daily returns (need ${minPoints})`;
+  const values = [...returns.values()];
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (values.every(v => Math.abs(v - mean) < 1e-12)) return 'returns have no variance';
+  return null;
+}
+
+// Coin and benchmark returns on the dates both have, oldest first
+function alignReturns(coinReturns, benchmarkReturns) {
+  const dates = [...coinReturns.keys()].filter(date => benchmarkReturns.has(date)).sort();
+  return [dates.map(date => coinReturns.get(date)), dates.map(date => benchmarkReturns.get(date))];
+}
+
+module.exports = {
+  byUtcDay,
+  toPoints,
+  total3FromGlobalChart,
+  total3FromArchive,
+  total3FromHistories,
+  datedReturns,
+  degenerateReason,
+  alignReturns
+};
@@ -0,0 +1,65 @@
+// Common surface of every market-data adapter. All ids crossing this interface are CoinGecko
+// ids; adapters whose ids differ translate them through `idMap` (CoinGecko id -> provider id).
+//
+// getMarkets({ page, perPage, ids, category, vsCurrency }) -> coin records using /coins/markets field names,
+//   priced in vsCurrency (a lowercase CoinGecko vs_currency code such as usd, eur or btc)
+// getGlobal() -> { totalMarketCap, totalVolume, btcDominance, ethDominance, activeCryptocurrencies, marketCapChange24h }
+// getCoin(id) -> { id, symbol, name, currentPrice, priceChange24h, marketCap, totalVolume }
+// getHistory(id, { days }) / getHistoryRange(id, { from, to }) -> { prices, marketCaps, volumes } as [ms, value] pairs
+// getCoinOnDate(id, dateKey) -> { id, currentPrice, marketCap, totalVolume }
+// getGlobalHistory({ days }) -> { marketCaps, volumes } as [ms, value] pairs
+// getCoinList() -> [{ id, symbol, name }] for every coin the provider knows
+// getCategories() -> [{ id, name, marketCap, marketCapChange24h, volume24h }]
+class MarketDataProvider {
+  constructor({ name, idMap = {} } = {}) {
+    this.name = name;
+    this.isPro = false;
+    this.idMap = { ...idMap };
+    this.reverseIdMap = Object.fromEntries(Object.entries(this.idMap).map(([k, v]) => [v, k]));
+  }
+
+  get apiMode() {
+    return this.isPro ? 'pro' : 'free';
+  }
+
+  logConfiguration() {
+    console.log(`🔑 Market data provider: ${this.name}`);
+  }
+
+  // Date key the run should be stamped with; adapters replaying a recording override it
+  resolveRunDate(dateKey) {
+    return dateKey;
+  }
+
+  // Clock used to build relative history requests; a replay answers with the recording time
+  now() {
+    return Date.now();
+  }
+
+  toProviderId(id) { return this.idMap[id] || id; }
+
+  fromProviderId(id) { return this.reverseIdMap[id] || id; }
+
+  sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+  // Spacing between a caller's successive requests; adapters may skip it when nothing was fetched
+  pace(ms) { return this.sleep(ms); }
+
+  unsupported(method) {
+    const err = new Error(`${this.name} provider does not support ${method}`);
+    err.code = 'UNSUPPORTED';
+    return Promise.reject(err);
+  }
+
+  getMarkets() { return this.unsupported('getMarkets'); }
+  getGlobal() { return this.unsupported('getGlobal'); }
+  getCoin() { return this.unsupported('getCoin'); }
+  getHistory() { return this.unsupported('getHistory'); }
+  getHistoryRange() { return this.unsupported('getHistoryRange'); }
+  getCoinOnDate() { return this.unsupported('getCoinOnDate'); }
+  getGlobalHistory() { return this.unsupported('getGlobalHistory'); }
+  getCoinList() { return this.unsupported('getCoinList'); }
+  getCategories() { return this.unsupported('getCategories'); }
+}
+
+module.exports = { MarketDataProvider };
@@ -0,0 +1,182 @@
+const { HttpProvider } = require('./http-provider');
+
+const FREE_BASE_URL = 'https://api.coingecko.com/api/v3';
+const PRO_BASE_URL = 'https://pro-api.coingecko.com/api/v3';
+
+function toSeries(pairs) {
+  return (pairs || []).map(([ts, value]) => [ts, value]);
+}
+
+class CoinGeckoProvider extends HttpProvider {
+  constructor({ apiKey = process.env.COINGECKO_API_KEY, idMap, fixtures, diskCache } = {}) {
+    const isPro = !!apiKey;
+    super({
+      name: 'coingecko',
+      baseUrl: isPro ? PRO_BASE_URL : FREE_BASE_URL,
+      minDelayMs: isPro ? 300 : 1600,
+      maxRetries: isPro ? 3 : 6, // retry more on free
+      backoffBaseMs: isPro ? 500 : 2000,
+      idMap,
+      fixtures,
+      diskCache
+    });
+    this.API_KEY = apiKey || null;
+    this.isPro = isPro;
+    this.freeModeForced = false; // becomes true if we auto-downgrade from PRO
+  }
+
+  get apiMode() {
+    return this.API_KEY ? 'pro' : 'free';
+  }
+
+  logConfiguration() {
+    console.log('🔑 GitHub Actions - API Configuration:');
+    console.log(`   - Using ${this.isPro ? 'PRO' : 'FREE'} CoinGecko API`);
+    console.log(`   - Base URL: ${this.BASE_URL}`);
+    console.log(`   - Min delay: ${this.minDelayMs}ms, Max retries: ${this.maxRetries}`);
+    this.logFixtureMode();
+  }
+
+  requestHeaders() {
+    return this.API_KEY ? { 'x-cg-pro-api-key': this.API_KEY } : {};
+  }
+
+  // Auto-downgrade from PRO to FREE on auth failure
+  handleAuthFailure() {
+    if (!this.isPro) return false;
+    this.downgradeToFree();
+    return true;
+  }
+
+  downgradeToFree() {
+    if (!this.isPro) return;
+    console.warn('🔁 Downgrading to FREE API due to auth failure on PRO');
+    this.isPro = false;
+    this.API_KEY = null;
+    this.BASE_URL = FREE_BASE_URL;
+    this.minDelayMs = 1600;
+    this.maxRetries = 6;
+    this.backoffBaseMs = 2000;
+    this.freeModeForced = true;
+  }
+
+  async getMarkets({ page = 1, perPage = 250, ids, category, vsCurrency = 'usd' } = {}) {
+    const params = {
+      vs_currency: vsCurrency,
+      order: 'market_cap_desc',
+      per_page: perPage,
+      page,
+      // FREE omits the 7d change field for some coins; the sparkline lets callers derive it
+      sparkline: this.isPro ? false : true,
+      price_change_percentage: '24h,7d'
+    };
+    if (ids) params.ids = ids.map(id => this.toProviderId(id)).join(',');
+    if (category) params.category = category;
+    const data = await this.makeAPICall('/coins/markets', params);
+    if (!Array.isArray(data)) return data;
+    return data.map(coin => ({ ...coin, id: this.fromProviderId(coin.id) }));
+  }
+
+  async getGlobal() {
+    const data = await this.makeAPICall('/global');
+    if (!data || !data.data) {
+      throw new Error('Invalid global data format');
+    }
+    return {
+      totalMarketCap: data.data.total_market_cap?.usd || 0,
+      totalVolume: data.data.total_volume?.usd || 0,
+      btcDominance: data.data.market_cap_percentage?.btc || 0,
+      ethDominance: data.data.market_cap_percentage?.eth || 0,
+      activeCryptocurrencies: data.data.active_cryptocurrencies || 0,
+      marketCapChange24h: data.data.market_cap_change_percentage_24h_usd || 0
+    };
+  }
+
+  async getCoin(id) {
+    const data = await this.makeAPICall(`/coins/${this.toProviderId(id)}`, {
+      localization: false,
+      tickers: false,
+      market_data: true,
+      community_data: false,
+      developer_data: false,
+      sparkline: false
+    });
+    return {
+      id,
+      symbol: data.symbol,
+      name: data.name,
+      currentPrice: data.market_data?.current_price?.usd || 0,
+      priceChange24h: data.market_data?.price_change_percentage_24h || 0,
+      marketCap: data.market_data?.market_cap?.usd || 0,
+      totalVolume: data.market_data?.total_volume?.usd || 0
+    };
+  }
+
+  normalizeChart(chart) {
+    return {
+      prices: toSeries(chart?.prices),
+      marketCaps: toSeries(chart?.market_caps),
+      volumes: toSeries(chart?.total_volumes)
+    };
+  }
+
+  async getHistory(id, { days = 90, vsCurrency = 'usd' } = {}) {
+    const chart = await this.makeAPICall(`/coins/${this.toProviderId(id)}/market_chart`, {
+      vs_currency: vsCurrency, days, interval: 'daily'
+    });
+    return this.normalizeChart(chart);
+  }
+
+  async getHistoryRange(id, { from, to, vsCurrency = 'usd' } = {}) {
+    const chart = await this.makeAPICall(`/coins/${this.toProviderId(id)}/market_chart/range`, {
+      vs_currency: vsCurrency,
+      from: Math.floor(from / 1000),
+      to: Math.floor(to / 1000)
+    });
+    return this.normalizeChart(chart);
+  }
+
+  async getCoinOnDate(id, dateKey) {
+    const [y, m, d] = dateKey.split('-');
+    const data = await this.makeAPICall(`/coins/${this.toProviderId(id)}/history`, {
+      date: `${d}-${m}-${y}`,
+      localization: false
+    });
+    return {
+      id,
+      currentPrice: data?.market_data?.current_price?.usd || 0,
+      marketCap: data?.market_data?.market_cap?.usd || 0,
+      totalVolume: data?.market_data?.total_volume?.usd || 0
+    };
+  }
+
+  // /global/market_cap_chart is only available on PRO
+  async getGlobalHistory({ days = 90 } = {}) {
+    if (!this.isPro) return this.unsupported('getGlobalHistory on the FREE API');
+    const chart = await this.makeAPICall('/global/market_cap_chart', { days });
+    return {
+      marketCaps: toSeries(chart?.market_cap_chart?.market_cap),
+      volumes: toSeries(chart?.market_cap_chart?.volume)
+    };
+  }
+
+  async getCategories() {
+    const data = await this.makeAPICall('/coins/categories', { order: 'market_cap_desc' });
+    if (!Array.isArray(data)) throw new Error('Invalid categories format');
+    return data.map(category => ({
+      id: category.id,
+      name: category.name,
+      marketCap: category.market_cap || 0,
+      marketCapChange24h: category.market_cap_change_24h || 0,
+      volume24h: category.volume_24h || 0
+    }));
+  }
+
+  async getCoinList() {
+    const data = await this.makeAPICall('/coins/list');
+    if (!Array.isArray(data)) throw new Error('Invalid coin list format');
+    return data.map(coin => ({ id: this.fromProviderId(coin.id), symbol: coin.symbol, name: coin.name }));
+  }
+}
+
+module.exports = { CoinGeckoProvider };
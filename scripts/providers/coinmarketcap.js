@@ -0,0 +1,174 @@
+const { HttpProvider } = require('./http-provider');
+const { DAY_MS } = require('../lib/archive');
+
+// CoinMarketCap slugs stand in for CoinGecko ids; most match, the rest go in provider.idMap.
+// Historical endpoints need a paid CoinMarketCap plan.
+class CoinMarketCapProvider extends HttpProvider {
+  constructor({ apiKey = process.env.COINMARKETCAP_API_KEY, idMap, fixtures, diskCache } = {}) {
+    super({
+      name: 'coinmarketcap',
+      baseUrl: 'https://pro-api.coinmarketcap.com',
+      minDelayMs: 2100, // basic plan allows 30 calls/minute
+      maxRetries: 4,
+      backoffBaseMs: 2000,
+      idMap,
+      fixtures,
+      diskCache
+    });
+    if (!apiKey) {
+      throw new Error('COINMARKETCAP_API_KEY is required for the coinmarketcap provider');
+    }
+    this.API_KEY = apiKey;
+    this.isPro = true;
+    this.numericIds = new Map(); // slug -> CMC numeric id, needed by the historical endpoints
+  }
+
+  requestHeaders() {
+    return { 'X-CMC_PRO_API_KEY': this.API_KEY, Accept: 'application/json' };
+  }
+
+  toMarketRecord(asset, convert = 'USD') {
+    const quote = asset.quote?.[convert] || {};
+    this.numericIds.set(asset.slug, asset.id);
+    return {
+      id: this.fromProviderId(asset.slug),
+      symbol: (asset.symbol || '').toLowerCase(),
+      name: asset.name,
+      image: `https://s2.coinmarketcap.com/static/img/coins/64x64/${asset.id}.png`,
+      current_price: quote.price ?? null,
+      market_cap: quote.market_cap ?? 0,
+      market_cap_rank: asset.cmc_rank ?? null,
+      fully_diluted_valuation: quote.fully_diluted_market_cap ?? null,
+      total_volume: quote.volume_24h ?? 0,
+      price_change_percentage_24h: quote.percent_change_24h ?? null,
+      price_change_percentage_24h_in_currency: quote.percent_change_24h ?? null,
+      price_change_percentage_7d_in_currency: quote.percent_change_7d ?? null,
+      circulating_supply: asset.circulating_supply ?? null,
+      total_supply: asset.total_supply ?? null,
+      max_supply: asset.max_supply ?? null,
+      last_updated: quote.last_updated || asset.last_updated
+    };
+  }
+
+  async getQuotesBySlug(ids, convert = 'USD') {
+    const data = await this.makeAPICall('/v2/cryptocurrency/quotes/latest', {
+      slug: ids.map(id => this.toProviderId(id)).join(','),
+      convert
+    });
+    return Object.values(data?.data || {}).map(asset => this.toMarketRecord(asset, convert));
+  }
+
+  async getMarkets({ page = 1, perPage = 250, ids, category, vsCurrency = 'usd' } = {}) {
+    if (category) return this.unsupported('getMarkets by category');
+    const convert = vsCurrency.toUpperCase();
+    if (ids) return this.getQuotesBySlug(ids, convert);
+    const data = await this.makeAPICall('/v1/cryptocurrency/listings/latest', {
+      start: (page - 1) * perPage + 1,
+      limit: perPage,
+      sort: 'market_cap',
+      convert
+    });
+    return (data?.data || []).map(asset => this.toMarketRecord(asset, convert));
+  }
+
+  async getGlobal() {
+    const data = await this.makeAPICall('/v1/global-metrics/quotes/latest', { convert: 'USD' });
+    const g = data?.data;
+    if (!g) throw new Error('Invalid global data format');
+    const quote = g.quote?.USD || {};
+    return {
+      totalMarketCap: quote.total_market_cap || 0,
+      totalVolume: quote.total_volume_24h || 0,
+      btcDominance: g.btc_dominance || 0,
+      ethDominance: g.eth_dominance || 0,
+      activeCryptocurrencies: g.active_cryptocurrencies || 0,
+      marketCapChange24h: quote.total_market_cap_yesterday_percentage_change || 0
+    };
+  }
+
+  async getCoin(id) {
+    const [coin] = await this.getQuotesBySlug([id]);
+    if (!coin) throw new Error(`Unknown coin: ${id}`);
+    return {
+      id,
+      symbol: coin.symbol,
+      name: coin.name,
+      currentPrice: coin.current_price || 0,
+      priceChange24h: coin.price_change_percentage_24h || 0,
+      marketCap: coin.market_cap || 0,
+      totalVolume: coin.total_volume || 0
+    };
+  }
+
+  async resolveNumericId(id) {
+    const slug = this.toProviderId(id);
+    if (!this.numericIds.has(slug)) await this.getQuotesBySlug([id]);
+    if (!this.numericIds.has(slug)) throw new Error(`Unknown coin: ${id}`);
+    return this.numericIds.get(slug);
+  }
+
+  async getHistoryRange(id, { from, to } = {}) {
+    const numericId = await this.resolveNumericId(id);
+    const data = await this.makeAPICall('/v2/cryptocurrency/quotes/historical', {
+      id: numericId,
+      time_start: new Date(from).toISOString(),
+      time_end: new Date(to).toISOString(),
+      interval: 'daily',
+      convert: 'USD'
+    });
+    const entry = data?.data?.[numericId] || data?.data;
+    const quotes = (Array.isArray(entry) ? entry[0]?.quotes : entry?.quotes) || [];
+    const history = { prices: [], marketCaps: [], volumes: [] };
+    for (const q of quotes) {
+      const usd = q.quote?.USD || {};
+      const ts = Date.parse(usd.timestamp || q.timestamp);
+      history.prices.push([ts, usd.price]);
+      history.marketCaps.push([ts, usd.market_cap]);
+      history.volumes.push([ts, usd.volume_24h]);
+    }
+    return history;
+  }
+
+  getHistory(id, { days = 90 } = {}) {
+    const to = this.endOfToday();
+    return this.getHistoryRange(id, { from: to - days * DAY_MS, to });
+  }
+
+  async getCoinOnDate(id, dateKey) {
+    const from = Date.parse(`${dateKey}T00:00:00Z`);
+    const history = await this.getHistoryRange(id, { from, to: from + DAY_MS - 1 });
+    return {
+      id,
+      currentPrice: history.prices[0]?.[1] || 0,
+      marketCap: history.marketCaps[0]?.[1] || 0,
+      totalVolume: history.volumes[0]?.[1] || 0
+    };
+  }
+
+  async getGlobalHistory({ days = 90 } = {}) {
+    const to = this.endOfToday();
+    const data = await this.makeAPICall('/v1/global-metrics/quotes/historical', {
+      time_start: new Date(to - days * DAY_MS).toISOString(),
+      time_end: new Date(to).toISOString(),
+      interval: 'daily',
+      convert: 'USD'
+    });
+    const quotes = data?.data?.quotes || [];
+    return {
+      marketCaps: quotes.map(q => [Date.parse(q.timestamp), q.quote?.USD?.total_market_cap || 0]),
+      volumes: quotes.map(q => [Date.parse(q.timestamp), q.quote?.USD?.total_volume_24h || 0])
+    };
+  }
+
+  // Slugs that differ from CoinGecko ids surface as unknown until they are added to idMap
+  async getCoinList() {
+    const data = await this.makeAPICall('/v1/cryptocurrency/map', { listing_status: 'active' });
+    return (data?.data || []).map(asset => ({
+      id: this.fromProviderId(asset.slug),
+      symbol: (asset.symbol || '').toLowerCase(),
+      name: asset.name
+    }));
+  }
+}
+
+module.exports = { CoinMarketCapProvider };
@@ -0,0 +1,237 @@
+const { HttpProvider } = require('./http-provider');
+const { DAY_MS } = require('../lib/archive');
+
+// CoinPaprika ids look like `btc-bitcoin`; map CoinGecko ids through provider.idMap. The defaults
+// cover every id the default config refers to (benchmarks, stablecoins, config/narratives.json);
+// any other id is passed through as-is, with a warning the first time it is asked for.
+const DEFAULT_ID_MAP = {
+  // Benchmarks
+  bitcoin: 'btc-bitcoin',
+  ethereum: 'eth-ethereum',
+  solana: 'sol-solana',
+  binancecoin: 'bnb-binance-coin',
+  // Stablecoins
+  tether: 'usdt-tether',
+  'usd-coin': 'usdc-usd-coin',
+  'ethena-usde': 'usde-ethena-usde',
+  usds: 'usds-usds',
+  dai: 'dai-dai',
+  'first-digital-usd': 'fdusd-first-digital-usd',
+  'paypal-usd': 'pyusd-paypal-usd',
+  'true-usd': 'tusd-trueusd',
+  // AI
+  'fetch-ai': 'fet-fetchai',
+  'the-graph': 'grt-the-graph',
+  'ocean-protocol': 'ocean-ocean-protocol',
+  singularitynet: 'agix-singularitynet',
+  numerai: 'nmr-numeraire',
+  'render-token': 'rndr-render-token',
+  'akash-network': 'akt-akash-network',
+  helium: 'hnt-helium',
+  'theta-token': 'theta-theta-token',
+  filecoin: 'fil-filecoin',
+  // DeFi
+  uniswap: 'uni-uniswap',
+  aave: 'aave-new',
+  'curve-dao-token': 'crv-curve-dao-token',
+  'compound-governance-token': 'comp-compoundd',
+  'synthetix-network-token': 'snx-synthetix-network-token',
+  balancer: 'bal-balancer',
+  'yearn-finance': 'yfi-yearnfinance',
+  maker: 'mkr-maker',
+  'lido-dao': 'ldo-lido-dao',
+  'rocket-pool': 'rpl-rocket-pool',
+  'frax-ether': 'frxeth-frax-ether',
+  // L1
+  'avalanche-2': 'avax-avalanche',
+  polkadot: 'dot-polkadot',
+  cosmos: 'atom-cosmos',
+  algorand: 'algo-algorand',
+  near: 'near-near-protocol',
+  aptos: 'apt-aptos',
+  sui: 'sui-sui',
+  'hedera-hashgraph': 'hbar-hedera-hashgraph',
+  // L2
+  arbitrum: 'arb-arbitrum',
+  optimism: 'op-optimism',
+  'matic-network': 'matic-polygon',
+  loopring: 'lrc-loopring',
+  'immutable-x': 'imx-immutable-x',
+  starknet: 'strk-starknet',
+  'metis-token': 'metis-metis-token',
+  // RWA
+  chainlink: 'link-chainlink',
+  'injective-protocol': 'inj-injective-protocol',
+  'band-protocol': 'band-band-protocol',
+  centrifuge: 'cfg-centrifuge',
+  goldfinch: 'gfi-goldfinch',
+  maple: 'mpl-maple',
+  // Gaming
+  'axie-infinity': 'axs-axie-infinity',
+  'the-sandbox': 'sand-the-sandbox',
+  decentraland: 'mana-decentraland',
+  gala: 'gala-gala',
+  illuvium: 'ilv-illuvium',
+  wax: 'waxp-wax',
+  ultra: 'uos-ultra',
+  // Meme
+  dogecoin: 'doge-dogecoin',
+  'shiba-inu': 'shib-shiba-inu',
+  pepe: 'pepe-pepe',
+  floki: 'floki-floki-inu',
+  bonk: 'bonk-bonk',
+  dogwifhat: 'wif-dogwifhat',
+  babydoge: 'babydoge-baby-doge-coin',
+  // Privacy
+  monero: 'xmr-monero',
+  zcash: 'zec-zcash',
+  horizen: 'zen-horizen',
+  secret: 'scrt-secret',
+  beam: 'beam-beam',
+  'dusk-network': 'dusk-dusk-network',
+  railgun: 'rail-railgun'
+};
+
+class CoinPaprikaProvider extends HttpProvider {
+  constructor({ apiKey = process.env.COINPAPRIKA_API_KEY, idMap, fixtures, diskCache } = {}) {
+    const isPro = !!apiKey;
+    super({
+      name: 'coinpaprika',
+      baseUrl: isPro ? 'https://api-pro.coinpaprika.com/v1' : 'https://api.coinpaprika.com/v1',
+      minDelayMs: isPro ? 300 : 1000,
+      maxRetries: isPro ? 3 : 6,
+      backoffBaseMs: isPro ? 500 : 2000,
+      idMap: { ...DEFAULT_ID_MAP, ...idMap },
+      fixtures,
+      diskCache
+    });
+    this.API_KEY = apiKey || null;
+    this.isPro = isPro;
+    // Unmapped ids already warned about, and CoinPaprika ids that came back from the API unmapped
+    this.warnedIds = new Set();
+    this.passthroughIds = new Set();
+  }
+
+  toProviderId(id) {
+    if (this.idMap[id] || this.passthroughIds.has(id)) return super.toProviderId(id);
+    if (!this.warnedIds.has(id)) {
+      this.warnedIds.add(id);
+      console.warn(`⚠️ No CoinPaprika id mapped for ${id}; add it to provider.idMap`);
+    }
+    return id;
+  }
+
+  fromProviderId(id) {
+    if (!this.reverseIdMap[id]) this.passthroughIds.add(id);
+    return super.fromProviderId(id);
+  }
+
+  requestHeaders() {
+    return this.API_KEY ? { Authorization: this.API_KEY } : {};
+  }
+
+  toMarketRecord(ticker, quotes = 'USD') {
+    const quote = ticker.quotes?.[quotes] || {};
+    return {
+      id: this.fromProviderId(ticker.id),
+      symbol: (ticker.symbol || '').toLowerCase(),
+      name: ticker.name,
+      image: `https://static.coinpaprika.com/coin/${ticker.id}/logo.png`,
+      current_price: quote.price ?? null,
+      market_cap: quote.market_cap ?? 0,
+      market_cap_rank: ticker.rank ?? null,
+      total_volume: quote.volume_24h ?? 0,
+      price_change_percentage_24h: quote.percent_change_24h ?? null,
+      price_change_percentage_24h_in_currency: quote.percent_change_24h ?? null,
+      price_change_percentage_7d_in_currency: quote.percent_change_7d ?? null,
+      circulating_supply: ticker.circulating_supply ?? null,
+      total_supply: ticker.total_supply ?? null,
+      max_supply: ticker.max_supply ?? null,
+      ath: quote.ath_price ?? null,
+      ath_change_percentage: quote.percent_from_price_ath ?? null,
+      ath_date: quote.ath_date ?? null,
+      last_updated: ticker.last_updated
+    };
+  }
+
+  // /tickers returns the whole ranked universe in one response; pages are sliced locally
+  async getMarkets({ page = 1, perPage = 250, ids, category, vsCurrency = 'usd' } = {}) {
+    if (category) return this.unsupported('getMarkets by category');
+    const quotes = vsCurrency.toUpperCase();
+    const data = await this.makeAPICall('/tickers', { quotes });
+    if (!Array.isArray(data)) return data;
+    if (ids) {
+      const wanted = new Set(ids.map(id => this.toProviderId(id)));
+      return data.filter(t => wanted.has(t.id)).map(t => this.toMarketRecord(t, quotes));
+    }
+    return data
+      .filter(t => t.rank > 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice((page - 1) * perPage, page * perPage)
+      .map(t => this.toMarketRecord(t, quotes));
+  }
+
+  async getGlobal() {
+    const g = await this.makeAPICall('/global');
+    if (!g || g.market_cap_usd == null) throw new Error('Invalid global data format');
+    // CoinPaprika only reports BTC dominance; derive ETH's from its ticker
+    const eth = await this.makeAPICall(`/tickers/${this.toProviderId('ethereum')}`, { quotes: 'USD' });
+    const ethCap = eth?.quotes?.USD?.market_cap || 0;
+    return {
+      totalMarketCap: g.market_cap_usd || 0,
+      totalVolume: g.volume_24h_usd || 0,
+      btcDominance: g.bitcoin_dominance_percentage || 0,
+      ethDominance: g.market_cap_usd ? (ethCap / g.market_cap_usd) * 100 : 0,
+      activeCryptocurrencies: g.cryptocurrencies_number || 0,
+      marketCapChange24h: g.market_cap_change_24h || 0
+    };
+  }
+
+  async getCoin(id) {
+    const ticker = await this.makeAPICall(`/tickers/${this.toProviderId(id)}`, { quotes: 'USD' });
+    const quote = ticker?.quotes?.USD || {};
+    return {
+      id,
+      symbol: (ticker?.symbol || '').toLowerCase(),
+      name: ticker?.name,
+      currentPrice: quote.price || 0,
+      priceChange24h: quote.percent_change_24h || 0,
+      marketCap: quote.market_cap || 0,
+      totalVolume: quote.volume_24h || 0
+    };
+  }
+
+  async getHistoryRange(id, { from, to } = {}) {
+    const rows = await this.makeAPICall(`/tickers/${this.toProviderId(id)}/historical`, {
+      start: new Date(from).toISOString().slice(0, 10),
+      end: new Date(to).toISOString().slice(0, 10),
+      interval: '1d'
+    });
+    const history = { prices: [], marketCaps: [], volumes: [] };
+    for (const row of Array.isArray(rows) ? rows : []) {
+      const ts = Date.parse(row.timestamp);
+      history.prices.push([ts, row.price]);
+      history.marketCaps.push([ts, row.market_cap]);
+      history.volumes.push([ts, row.volume_24h]);
+    }
+    return history;
+  }
+
+  getHistory(id, { days = 90 } = {}) {
+    const to = this.endOfToday();
+    return this.getHistoryRange(id, { from: to - days * DAY_MS, to });
+  }
+
+  async getCoinOnDate(id, dateKey) {
+    const from = Date.parse(`${dateKey}T00:00:00Z`);
+    const history = await this.getHistoryRange(id, { from, to: from });
+    return {
+      id,
+      currentPrice: history.prices[0]?.[1] || 0,
+      marketCap: history.marketCaps[0]?.[1] || 0,
+      totalVolume: history.volumes[0]?.[1] || 0
+    };
+  }
+}
+
+module.exports = { CoinPaprikaProvider };
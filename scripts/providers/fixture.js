@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { MarketDataProvider } = require('./base-provider');
+
+// Serves normalized records from a local directory, for offline runs and tests:
+//   markets.json            array of /coins/markets-shaped records, ranked by market cap
+//   markets-<currency>.json the same priced in another vs_currency (optional)
+//   global.json             getGlobal() record
+//   coins/<id>.json         getCoin() record (optional; derived from markets.json otherwise)
+//   history/<id>.json       { prices, marketCaps, volumes } as [ms, value] pairs
+//   global-history.json     { marketCaps, volumes } (optional)
+//   coins-list.json         getCoinList() records (optional; derived from markets.json otherwise)
+//   categories.json         getCategories() records (optional)
+//   categories/<id>.json    coin ids in a category, for getMarkets({ category })
+class FixtureProvider extends MarketDataProvider {
+  constructor({ fixtureDir = 'fixtures/provider', idMap } = {}) {
+    super({ name: 'fixture', idMap });
+    this.fixtureDir = path.resolve(fixtureDir);
+    if (!fs.existsSync(this.fixtureDir)) {
+      throw new Error(`Fixture directory not found: ${this.fixtureDir}`);
+    }
+    this.isPro = true; // no remote rate limits to respect
+  }
+
+  logConfiguration() {
+    console.log('🔑 Market data provider: fixture');
+    console.log(`   - Directory: ${this.fixtureDir}`);
+  }
+
+  // Local files need no pacing
+  sleep() {
+    return Promise.resolve();
+  }
+
+  readFixture(...segments) {
+    const filePath = path.join(this.fixtureDir, ...segments);
+    if (!fs.existsSync(filePath)) {
+      const err = new Error(`Missing fixture: ${path.relative(this.fixtureDir, filePath)}`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  async getMarkets({ page = 1, perPage = 250, ids, category, vsCurrency = 'usd' } = {}) {
+    const file = vsCurrency === 'usd' ? 'markets.json' : `markets-${vsCurrency}.json`;
+    if (vsCurrency !== 'usd' && !fs.existsSync(path.join(this.fixtureDir, file))) {
+      return this.unsupported(`getMarkets in ${vsCurrency} (no ${file})`);
+    }
+    let markets = this.readFixture(file);
+    if (category) {
+      if (!fs.existsSync(path.join(this.fixtureDir, 'categories', `${category}.json`))) {
+        return this.unsupported(`getMarkets by category ${category} (no categories/${category}.json)`);
+      }
+      const members = new Set(this.readFixture('categories', `${category}.json`));
+      markets = markets.filter(c => members.has(c.id));
+    }
+    if (ids) {
+      const wanted = new Set(ids);
+      return markets.filter(c => wanted.has(c.id));
+    }
+    return markets.slice((page - 1) * perPage, page * perPage);
+  }
+
+  async getGlobal() {
+    return this.readFixture('global.json');
+  }
+
+  async getCategories() {
+    return this.readFixture('categories.json');
+  }
+
+  async getCoinList() {
+    try {
+      return this.readFixture('coins-list.json');
+    } catch (e) {
+      return this.readFixture('markets.json').map(({ id, symbol, name }) => ({ id, symbol, name }));
+    }
+  }
+
+  async getCoin(id) {
+    try {
+      return this.readFixture('coins', `${id}.json`);
+    } catch (e) {
+      const coin = this.readFixture('markets.json').find(c => c.id === id);
+      if (!coin) throw e;
+      return {
+        id,
+        symbol: coin.symbol,
+        name: coin.name,
+        currentPrice: coin.current_price || 0,
+        priceChange24h: coin.price_change_percentage_24h || 0,
+        marketCap: coin.market_cap || 0,
+        totalVolume: coin.total_volume || 0
+      };
+    }
+  }
+
+  async getHistoryRange(id, { from = -Infinity, to = Infinity } = {}) {
+    const history = this.readFixture('history', `${id}.json`);
+    const within = series => (series || []).filter(([ts]) => ts >= from && ts <= to);
+    return {
+      prices: within(history.prices),
+      marketCaps: within(history.marketCaps),
+      volumes: within(history.volumes)
+    };
+  }
+
+  // Mirrors CoinGecko's daily market_chart: `days` daily points plus the latest one
+  async getHistory(id, { days = 90 } = {}) {
+    const history = this.readFixture('history', `${id}.json`);
+    const tail = series => (series || []).slice(-(days + 1));
+    return {
+      prices: tail(history.prices),
+      marketCaps: tail(history.marketCaps),
+      volumes: tail(history.volumes)
+    };
+  }
+
+  async getCoinOnDate(id, dateKey) {
+    const from = Date.parse(`${dateKey}T00:00:00Z`);
+    const history = await this.getHistoryRange(id, { from, to: from + 24 * 60 * 60 * 1000 - 1 });
+    return {
+      id,
+      currentPrice: history.prices[0]?.[1] || 0,
+      marketCap: history.marketCaps[0]?.[1] || 0,
+      totalVolume: history.volumes[0]?.[1] || 0
+    };
+  }
+
+  async getGlobalHistory({ days = 90 } = {}) {
+    const history = this.readFixture('global-history.json');
+    return {
+      marketCaps: (history.marketCaps || []).slice(-(days + 1)),
+      volumes: (history.volumes || []).slice(-(days + 1))
+    };
+  }
+}
+
+module.exports = { FixtureProvider };
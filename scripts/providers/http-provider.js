@@ -0,0 +1,241 @@
+const https = require('https');
+const { MarketDataProvider } = require('./base-provider');
+const { DAY_MS } = require('../lib/archive');
+
+// Shared HTTP plumbing for REST-backed market-data adapters: spacing between calls,
+// retries with exponential backoff, in-memory and on-disk response caches and optional record/replay.
+class HttpProvider extends MarketDataProvider {
+  constructor({ name, baseUrl, minDelayMs = 1600, maxRetries = 6, backoffBaseMs = 2000, idMap = {}, fixtures = null, diskCache = null } = {}) {
+    super({ name, idMap });
+    this.fixtures = fixtures; // HttpFixtureStore when recording or replaying
+    this.diskCache = diskCache; // HttpDiskCache shared across runs, when enabled
+    this.calledSincePace = false;
+    this.BASE_URL = baseUrl;
+    this.cache = new Map();
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+    this.minDelayMs = minDelayMs; // minimal spacing between calls
+    this.maxRetries = maxRetries;
+    this.backoffBaseMs = backoffBaseMs;
+    this.nextRequestTime = 0;
+  }
+
+  logConfiguration() {
+    console.log(`🔑 Market data provider: ${this.name}`);
+    console.log(`   - Base URL: ${this.BASE_URL}`);
+    console.log(`   - Min delay: ${this.minDelayMs}ms, Max retries: ${this.maxRetries}`);
+    this.logFixtureMode();
+  }
+
+  logFixtureMode() {
+    if (this.fixtures && this.fixtures.mode !== 'off') {
+      console.log(`   - HTTP fixtures: ${this.fixtures.mode} (${this.fixtures.dir})`);
+    }
+    if (this.diskCache) {
+      console.log(`   - HTTP cache: ${this.diskCache.dir}`);
+    }
+  }
+
+  // A replayed run takes its date from the recording so the output lines up with it
+  resolveRunDate(dateKey) {
+    if (this.fixtures?.replaying) return this.fixtures.readManifest().dateKey;
+    if (this.fixtures?.recording) this.fixtures.writeManifest({ dateKey, provider: this.name });
+    return dateKey;
+  }
+
+  now() {
+    return this.fixtures?.replaying ? Date.parse(this.fixtures.readManifest().recordedAt) : Date.now();
+  }
+
+  // End of the current UTC day, so relative history requests stay identical within a day
+  endOfToday() {
+    return Math.floor(this.now() / DAY_MS) * DAY_MS + DAY_MS - 1;
+  }
+
+  // === Rate limit & retry helpers ===
+  sleep(ms) {
+    return this.fixtures?.replaying ? Promise.resolve() : super.sleep(ms);
+  }
+
+  // Pauses only if an API call went out since the last pause; runs served from cache don't wait
+  pace(ms) {
+    if (!this.calledSincePace) return Promise.resolve();
+    this.calledSincePace = false;
+    return this.sleep(ms);
+  }
+
+  // Each caller reserves the next free slot before waiting, so concurrent requests stay
+  // minDelayMs apart instead of all firing once the same gap has elapsed
+  async enforceRateLimit() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestTime);
+    this.nextRequestTime = slot + this.minDelayMs;
+    if (slot > now) {
+      await this.sleep(slot - now);
+    }
+  }
+
+  randomJitter(ms) {
+    const jitter = Math.floor(Math.random() * Math.min(500, Math.max(100, ms * 0.1)));
+    return ms + jitter;
+  }
+
+  computeBackoffDelay(attempt, retryAfterHeader) {
+    if (retryAfterHeader) {
+      const ra = Number(retryAfterHeader);
+      if (!isNaN(ra) && ra > 0) return (ra * 1000);
+    }
+    // exponential backoff with cap
+    const base = this.backoffBaseMs * Math.pow(2, attempt);
+    return Math.min(30000, this.randomJitter(base));
+  }
+
+  // Adapters add their auth header here
+  requestHeaders() {
+    return {};
+  }
+
+  // Called on 401/403; return true if the adapter changed its credentials and the call should be retried
+  handleAuthFailure() {
+    return false;
+  }
+
+  // HTTP request function; recorded to / served from fixtures when enabled
+  makeRequest(url, headers = {}) {
+    if (this.fixtures?.replaying) return this.fixtures.replay(url);
+    const request = this.requestLive(url, headers);
+    if (!this.fixtures?.recording) return request;
+    return request.then(
+      body => { this.fixtures.record(url, { body }); return body; },
+      error => { this.fixtures.record(url, { error }); throw error; }
+    );
+  }
+
+  requestLive(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const requestHeaders = {
+        'User-Agent': 'Mozilla/5.0 (compatible; CryptoTracker/1.0; +https://github.com/crypto-market-tracker)',
+        ...this.requestHeaders(),
+        ...headers
+      };
+
+      const options = { headers: requestHeaders, timeout: 20000 };
+
+      const req = https.get(url, options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          const retryAfter = res.headers ? (res.headers['retry-after'] || res.headers['Retry-After']) : undefined;
+          if (res.statusCode === 401 || res.statusCode === 403) {
+            const err = new Error('Unauthorized - Check your API key');
+            err.statusCode = res.statusCode;
+            reject(err);
+            return;
+          }
+
+          if (res.statusCode === 429) {
+            const err = new Error('Rate limited - Too many requests');
+            err.statusCode = 429;
+            if (retryAfter) err.retryAfter = retryAfter;
+            reject(err);
+            return;
+          }
+
+          if (res.statusCode && res.statusCode >= 500) {
+            const err = new Error(`Server error ${res.statusCode}`);
+            err.statusCode = res.statusCode;
+            reject(err);
+            return;
+          }
+
+          if (res.statusCode !== 200) {
+            const err = new Error(`HTTP ${res.statusCode}: ${data}`);
+            err.statusCode = res.statusCode;
+            reject(err);
+            return;
+          }
+
+          try {
+            const parsed = JSON.parse(data);
+            resolve(parsed);
+          } catch (error) {
+            reject(new Error(`JSON parse error: ${error.message}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Request timeout'));
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+    });
+  }
+
+  async makeAPICall(endpoint, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const buildUrl = () => `${this.BASE_URL}${endpoint}${queryString ? '?' + queryString : ''}`;
+    const cacheKey = `${endpoint}|${queryString}`; // cache key decoupled from base URL
+
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      console.log(`📦 Cache hit for: ${endpoint}`);
+      return cached.data;
+    }
+
+    const stored = this.diskCache ? this.diskCache.get(endpoint, buildUrl()) : null;
+    if (stored && stored.fresh) {
+      console.log(`💾 Disk cache hit for: ${endpoint}`);
+      this.cache.set(cacheKey, { data: stored.body, timestamp: Date.now() });
+      return stored.body;
+    }
+
+    let attempt = 0;
+    while (attempt <= this.maxRetries) {
+      try {
+        await this.enforceRateLimit();
+        const url = buildUrl();
+        console.log(`🌐 API call: ${endpoint} (attempt ${attempt + 1}/${this.maxRetries + 1})`);
+        this.calledSincePace = true;
+        const data = await this.makeRequest(url);
+        this.cache.set(cacheKey, { data, timestamp: Date.now() });
+        if (this.diskCache) this.diskCache.set(endpoint, url, data);
+        return data;
+      } catch (error) {
+        const sc = error && error.statusCode;
+        if ((sc === 401 || sc === 403) && this.handleAuthFailure()) {
+          attempt++;
+          continue;
+        }
+        // Retry on 429 / 5xx / transient network errors
+        const transient = sc === 429 || (sc && sc >= 500) ||
+          (error && ['ECONNRESET','ETIMEDOUT','EAI_AGAIN','ENOTFOUND'].includes(error.code));
+        if (transient && attempt < this.maxRetries) {
+          const delay = this.computeBackoffDelay(attempt, error && error.retryAfter);
+          console.warn(`⏳ Retry ${attempt + 1} for ${endpoint} in ${delay}ms (reason: ${error.message})`);
+          await this.sleep(delay);
+          attempt++;
+          continue;
+        }
+
+        console.error(`❌ API call failed: ${endpoint}`, error.message);
+        if (cached) {
+          console.log('📦 Using stale cache data');
+          return cached.data;
+        }
+        if (stored) {
+          console.log('💾 Using stale disk cache data');
+          return stored.body;
+        }
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { HttpProvider };
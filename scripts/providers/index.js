@@ -0,0 +1,32 @@
+const { CoinGeckoProvider } = require('./coingecko');
+const { CoinMarketCapProvider } = require('./coinmarketcap');
+const { CoinPaprikaProvider } = require('./coinpaprika');
+const { FixtureProvider } = require('./fixture');
+const { HttpFixtureStore } = require('../lib/http-fixtures');
+const { HttpDiskCache } = require('../lib/http-cache');
+
+const PROVIDERS = {
+  coingecko: CoinGeckoProvider,
+  coinmarketcap: CoinMarketCapProvider,
+  coinpaprika: CoinPaprikaProvider,
+  fixture: FixtureProvider
+};
+
+// Builds the adapter named by config.provider.name (overridable via MARKET_DATA_PROVIDER)
+function createProvider(providerConfig = {}, { httpFixtures, httpCache } = {}) {
+  const name = (providerConfig.name || 'coingecko').toLowerCase();
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown market data provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const fixtures = httpFixtures && httpFixtures.mode && httpFixtures.mode !== 'off'
+    ? new HttpFixtureStore({ ...httpFixtures, namespace: name })
+    : null;
+  // Recording must reach the network and a replay must serve only the recording, so both bypass the cache
+  const diskCache = httpCache && httpCache.enabled && !fixtures
+    ? new HttpDiskCache({ ...httpCache, namespace: name })
+    : null;
+  return new Provider({ ...providerConfig, fixtures, diskCache });
+}
+
+module.exports = { PROVIDERS, createProvider };
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isDateKey, listSnapshotDates, loadSnapshot } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const { chartDir, writeCharts } = require('./lib/charts');
+
+// Draws the PNG charts of existing snapshots into <dataDir>/charts/<date>/, as generate-data does
+// after each run. Arguments are date keys or snapshot files; the default is the newest snapshot.
+//   render-charts --all        every dated snapshot
+//   render-charts --missing    dated snapshots without a charts directory yet
+const USAGE = 'Usage: render-charts [<date|file>...] [--all | --missing]';
+
+function readSnapshot(ref, dataDir) {
+  if (isDateKey(ref)) {
+    const snapshot = loadSnapshot(ref, dataDir);
+    if (!snapshot) throw new Error(`No snapshot for ${ref} in ${dataDir}`);
+    return snapshot;
+  }
+  return JSON.parse(fs.readFileSync(ref, 'utf8'));
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false },
+      missing: { type: 'boolean', default: false }
+    }
+  });
+  if ((values.all || values.missing) && positionals.length > 0) throw new Error(USAGE);
+  const config = loadConfig();
+  const dataDir = path.resolve(config.dataDir);
+  const { enabled, ...options } = config.charts;
+
+  let refs = positionals;
+  if (values.all || values.missing) {
+    refs = listSnapshotDates(dataDir);
+    if (values.missing) refs = refs.filter(date => !fs.existsSync(path.join(dataDir, chartDir(date))));
+  } else if (refs.length === 0) {
+    const newest = listSnapshotDates(dataDir).pop();
+    if (!newest) throw new Error(`No snapshots in ${dataDir}`);
+    refs = [newest];
+  }
+
+  for (const ref of refs) {
+    const snapshot = readSnapshot(ref, dataDir);
+    const files = writeCharts(dataDir, snapshot, options);
+    console.log(`🖼️  ${snapshot.date}: ${files.length} charts in ${path.dirname(files[0])}`);
+  }
+  console.log(`✅ Rendered charts for ${refs.length} snapshot(s)`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(1);
+  }
+}
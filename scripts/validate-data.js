@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SNAPSHOT_FILE_PATTERN, snapshotFileName, listSnapshotDates } = require('./lib/archive');
+const { loadConfig } = require('./lib/config');
+const {
+  MARKET_TABLE_DIR,
+  MARKET_TABLE_FILE_PATTERN,
+  marketTableFile,
+  listMarketTableDates
+} = require('./lib/market-table');
+const {
+  CORRELATION_MATRIX_DIR,
+  CORRELATION_MATRIX_FILE_PATTERN,
+  correlationMatrixFile,
+  listCorrelationMatrixDates
+} = require('./lib/correlation-matrix');
+const {
+  SCHEMA_PATH,
+  validateSnapshot,
+  validateMarketTable,
+  validateCorrelationMatrix
+} = require('./lib/snapshot-schema');
+
+// Validates snapshot files against schema/daily-snapshot.schema.json, market tables in markets/
+// against schema/market-table.schema.json and correlation matrices in correlations/ against
+// schema/correlation-matrix.schema.json. With no arguments, checks every dated file, latest.json,
+// market table and correlation matrix in the configured data directory.
+const COMPANIONS = {
+  [MARKET_TABLE_DIR]: { pattern: MARKET_TABLE_FILE_PATTERN, validate: validateMarketTable },
+  [CORRELATION_MATRIX_DIR]: { pattern: CORRELATION_MATRIX_FILE_PATTERN, validate: validateCorrelationMatrix }
+};
+
+function defaultFiles(dataDir) {
+  const files = listSnapshotDates(dataDir).map(date => path.join(dataDir, snapshotFileName(date)));
+  const latestPath = path.join(dataDir, 'latest.json');
+  if (fs.existsSync(latestPath)) files.push(latestPath);
+  files.push(...listMarketTableDates(dataDir).map(date => path.join(dataDir, marketTableFile(date))));
+  files.push(...listCorrelationMatrixDates(dataDir).map(date => path.join(dataDir, correlationMatrixFile(date))));
+  return files;
+}
+
+// Companion files are recognized by the directory they sit in
+function fileKind(filePath) {
+  return COMPANIONS[path.basename(path.dirname(path.resolve(filePath)))] || {
+    pattern: SNAPSHOT_FILE_PATTERN,
+    validate: validateSnapshot
+  };
+}
+
+function validateFile(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return { valid: false, errors: [`unreadable: ${e.message}`] };
+  }
+  const { pattern, validate } = fileKind(filePath);
+  const result = validate(snapshot);
+  // A dated file must hold the snapshot for that date
+  const match = pattern.exec(path.basename(filePath));
+  if (match && snapshot.date !== match[1]) {
+    result.valid = false;
+    result.errors.push(`$.date: ${JSON.stringify(snapshot.date)} does not match file name date ${match[1]}`);
+  }
+  return result;
+}
+
+function main() {
+  const { positionals } = parseArgs({ allowPositionals: true, options: {} });
+  const files = positionals.length > 0 ? positionals : defaultFiles(path.resolve(loadConfig().dataDir));
+  if (files.length === 0) {
+    console.log('ℹ️  No snapshot files to validate');
+    return 0;
+  }
+
+  console.log(`🔍 Validating ${files.length} file(s) against the schemas in ${path.relative(process.cwd(), path.dirname(SCHEMA_PATH))}/`);
+  let failures = 0;
+  for (const file of files) {
+    const { valid, errors } = validateFile(file);
+    if (valid) continue;
+    failures++;
+    console.log(`❌ ${file}`);
+    for (const error of errors) console.log(`   - ${error}`);
+  }
+
+  if (failures > 0) {
+    console.log(`❌ ${failures} of ${files.length} file(s) failed validation`);
+    return 1;
+  }
+  console.log(`✅ All ${files.length} file(s) are valid`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (error) {
+    console.error('💥', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = { validateFile };
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAlertRules, evaluateAlerts } = require('../scripts/lib/alerts');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'check-alerts.js');
+
+const ranking = ['bitcoin', 'ethereum', 'tether', 'binancecoin', 'solana', ...Array.from({ length: 25 }, (_, i) => `coin-${i}`), 'pepe'];
+
+const previous = {
+  date: '2025-10-01',
+  btcData: { trend: 'bearish' },
+  narrativeData: { AI: { change24h: 2 }, Meme: { change24h: 12 } },
+  globalMetrics: { btcDominance: 57.2 },
+  topGainers24h: [{ id: 'pepe', symbol: 'PEPE', change: 10 }, { id: 'bonk', symbol: 'BONK', change: 5 }],
+  marketCapRanking: ranking
+};
+
+const current = {
+  date: '2025-10-02',
+  timestamp: '2025-10-02T10:00:00.000Z',
+  btcData: { trend: 'strong_bear' },
+  narrativeData: { AI: { change24h: 9.5 }, Meme: { change24h: 3 } },
+  globalMetrics: { btcDominance: 58.45 },
+  topGainers24h: [{ id: 'bonk', symbol: 'BONK', change: 9 }, { id: 'pepe', symbol: 'PEPE', change: 11 }],
+  changes: {
+    newEmaSignals: [
+      { id: 'solana', symbol: 'SOL', pair: '20/50', signal: 'bullish' },
+      { id: 'pepe', symbol: 'PEPE', pair: '20/50', signal: 'bullish' },
+      { id: 'ethereum', symbol: 'ETH', pair: '20/50', signal: 'bearish' }
+    ]
+  },
+  marketCapRanking: ranking
+};
+
+test('the shipped rules fire on the request\'s examples', () => {
+  const { rules, notifiers } = loadAlertRules(path.join(ROOT, 'config', 'alerts.json'));
+  assert.deepEqual(notifiers, [{ type: 'file' }]);
+  const alerts = evaluateAlerts(rules, current, previous);
+  assert.deepEqual(alerts.map(a => [a.rule, a.severity, a.message]), [
+    ['btc-capitulation', 'critical', 'BTC trend: strong_bear (was bearish)'],
+    ['narrative-surge', 'warning', 'AI narrative up 9.5% in 24h'],
+    ['new-bullish-ema', 'info', 'New bullish 20/50 EMA cross on SOL'],
+    ['btc-dominance-move', 'warning', 'BTC dominance moved 1.25 pts to 58.45%']
+  ]);
+  // Rules comparing with the previous snapshot stay quiet without one
+  assert.deepEqual(evaluateAlerts(rules, current, null).map(a => a.rule), ['narrative-surge', 'new-bullish-ema']);
+});
+
+test('list items are compared with the previous item of the same id', () => {
+  // BONK moved from second to first: its 5 -> 9 fires, PEPE's 10 -> 11 doesn't
+  const rules = [{ id: 'gainer-jump', path: 'topGainers24h.*.change', changeAbove: 3, message: '{path}: {previous} -> {value}' }];
+  assert.deepEqual(evaluateAlerts(rules, current, previous).map(a => a.message), ['topGainers24h.0.change: 5 -> 9']);
+});
+
+test('invalid rules are reported with their id', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'alerts.json');
+  fs.writeFileSync(file, JSON.stringify({
+    rules: [
+      { id: 'a', path: 'btcData.trend' },
+      { id: 'b', path: 'globalMetrics.btcDominance', above: '60' },
+      { id: 'b', path: 'x', equals: 1, severity: 'urgent' }
+    ]
+  }));
+  assert.throws(() => loadAlertRules(file), {
+    message: /rule "a" needs a condition.*rule "b" "above" must be a number; rule "b" is defined twice/
+  });
+  assert.equal(loadAlertRules(path.join(dir, 'missing.json')), null);
+});
+
+test('check-alerts sends to the notifiers and reports it on stdout', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-cli-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  for (const snapshot of [previous, current]) {
+    fs.writeFileSync(path.join(dataDir, `crypto-data-${snapshot.date}.json`), JSON.stringify(snapshot));
+  }
+  const result = spawnSync(process.execPath, [SCRIPT, '--notify'], {
+    cwd: ROOT,
+    env: { ...process.env, MARKET_DATA_DIR: dataDir },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /2025-10-02: 4 alert\(s\) from 4 rule\(s\), compared with 2025-10-01/);
+  assert.match(result.stdout, /📣 Sent to file/);
+  assert.equal(result.stderr, '');
+  const lines = fs.readFileSync(path.join(dataDir, 'alerts.jsonl'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).rule), ['btc-capitulation', 'narrative-surge', 'new-bullish-ema', 'btc-dominance-move']);
+});
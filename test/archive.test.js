@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isDateKey, shiftDateKey, dateRange } = require('../scripts/lib/archive');
+
+test('isDateKey accepts real calendar days only', () => {
+  for (const key of ['2025-10-01', '2024-02-29', '2026-12-31']) assert.equal(isDateKey(key), true, key);
+  for (const key of ['2026-02-31', '2025-02-29', '2025-13-01', '2025-00-10', '2025-10-1', '20251001', null, undefined]) {
+    assert.equal(isDateKey(key), false, String(key));
+  }
+});
+
+test('shiftDateKey and dateRange step through calendar days across months and DST', () => {
+  assert.equal(shiftDateKey('2025-03-01', -1), '2025-02-28');
+  assert.equal(shiftDateKey('2025-11-01', 2), '2025-11-03');
+  assert.deepEqual(dateRange('2025-02-27', '2025-03-02'), ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+});
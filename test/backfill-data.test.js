@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CryptoDataGenerator, getDateKeyNY, UNIVERSE_SIZE } = require('../scripts/generate-daily-data');
+const { HistoricalBackfill } = require('../scripts/backfill-data');
+const { shiftDateKey, loadSnapshot } = require('../scripts/lib/archive');
+const { loadConfig } = require('../scripts/lib/config');
+const { loadMarketTable } = require('../scripts/lib/market-table');
+const { validateSnapshot } = require('../scripts/lib/snapshot-schema');
+const { writeProviderFixtures } = require('./helpers/market-fixtures');
+
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-backfill-'));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// A backfill over the fixture provider, writing into its own data directory
+function backfillFor(name, { removeHistory = [] } = {}) {
+  const providerDir = path.join(tmp, `${name}-provider`);
+  writeProviderFixtures(providerDir);
+  for (const id of removeHistory) fs.rmSync(path.join(providerDir, 'history', `${id}.json`));
+  const config = loadConfig({
+    env: {},
+    overrides: {
+      dataDir: path.join(tmp, name),
+      provider: { name: 'fixture', fixtureDir: providerDir },
+      httpCache: { enabled: false },
+      alerts: { enabled: false },
+      charts: { enabled: false },
+      reports: { enabled: false }
+    }
+  });
+  return new HistoricalBackfill(new CryptoDataGenerator({ config }));
+}
+
+test('backfills valid snapshots with the live universe size and records its limitation', async () => {
+  const backfill = backfillFor('backfill');
+  assert.equal(backfill.universeSize, UNIVERSE_SIZE);
+  const to = shiftDateKey(getDateKeyNY(), -2);
+  const from = shiftDateKey(to, -1);
+  const { written } = await backfill.run(from, to);
+  assert.equal(written.length, 2);
+
+  const dataDir = path.join(tmp, 'backfill');
+  const older = loadSnapshot(from, dataDir);
+  const newer = loadSnapshot(to, dataDir);
+  for (const snapshot of [older, newer]) {
+    assert.deepEqual(validateSnapshot(snapshot).errors, []);
+    assert.equal(snapshot.metadata.backfilled, true);
+    assert.deepEqual(
+      { ...snapshot.metadata.backfillUniverse, note: undefined },
+      { coins: UNIVERSE_SIZE, selectedOn: getDateKeyNY(), survivorshipBias: true, note: undefined }
+    );
+  }
+  // Each date chains onto the one before it
+  const [theme] = Object.keys(newer.narrativeData);
+  assert.equal(newer.narrativeData[theme].index.previousDate, from);
+  assert.equal(newer.narrativeData[theme].index.gapDays, undefined);
+
+  const { coins } = loadMarketTable(to, dataDir);
+  const bitcoin = coins.find(coin => coin.id === 'bitcoin');
+  assert.ok(Math.abs(bitcoin.circulatingSupply - bitcoin.marketCap / bitcoin.price) < 1e-3);
+  assert.equal(bitcoin.totalSupply, null);
+});
+
+test('skips dates without bitcoin or ethereum history instead of failing', async () => {
+  const backfill = backfillFor('no-ethereum', { removeHistory: ['ethereum'] });
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    const day = shiftDateKey(getDateKeyNY(), -2);
+    const { written } = await backfill.run(day, day);
+    assert.deepEqual(written, []);
+    assert.ok(warnings.some(w => w.includes(`No ethereum history for ${day}, skipping the date`)), warnings.join('\n'));
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('rejects dates that are not on the calendar', () => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'backfill-data.js'), '--from', '2026-02-31'], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Usage: backfill-data --from YYYY-MM-DD/);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CHART_FILES, chartDir, writeCharts } = require('../scripts/lib/charts');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'render-charts.js');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function tempDataDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charts-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Width and height from a PNG's IHDR chunk
+function pngSize(filePath) {
+  const png = fs.readFileSync(filePath);
+  assert.ok(png.subarray(0, 8).equals(PNG_SIGNATURE), `${filePath} is not a PNG`);
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+const coin = (id, change) => ({ id, symbol: id.slice(0, 4), name: id, price_change_percentage_24h: change });
+
+test('writes every chart under its fixed name, sized to its rows', t => {
+  const dataDir = tempDataDir(t);
+  const snapshot = {
+    date: '2025-10-02',
+    timestamp: '2025-10-02T10:00:00.000Z',
+    topGainers24h: [coin('pepe', 31.2), coin('bonk', 12.5), coin('floki', 8)],
+    topLosers24h: [coin('sui', -9.1)],
+    narrativeData: { AI: { change24h: 4.2, change7d: -1 }, Meme: { change24h: 9, change7d: 20 }, L1: { change24h: -2, change7d: null } },
+    globalMetrics: { btcDominance: 57.3, ethDominance: 12.1, totalMarketCap: 3.9e12, marketCapChange24h: -0.8 },
+    stablecoins: { shareOfMarketCap: 7.2 },
+    changes: { previousDate: '2025-10-01', dominance: { btc: { change: 0.4 }, eth: { change: -0.2 } }, newEmaSignals: [] },
+    marketCapRanking: ['bitcoin', 'ethereum', 'solana'],
+    emaCrossovers: [
+      { id: 'solana', symbol: 'sol', pair: '20/50', signal: 'bullish', daysAgo: 1, crossoverDate: '2025-10-01', spreadPercent: 1.2 },
+      { id: 'bitcoin', symbol: 'btc', pair: '20/50', signal: 'bearish', daysAgo: 3, spreadPercent: -0.4 },
+      { id: 'tether', symbol: 'usdt', pair: '20/50', signal: 'none' }
+    ]
+  };
+
+  const files = writeCharts(dataDir, snapshot, { topMovers: 2 });
+  assert.deepEqual(files, Object.values(CHART_FILES).map(name => path.join(dataDir, chartDir('2025-10-02'), name)));
+  const sizes = Object.fromEntries(Object.keys(CHART_FILES).map((name, i) => [name, pngSize(files[i])]));
+  assert.deepEqual(sizes, {
+    // 2 gainers + 1 loser, with a gap between the groups
+    movers: { width: 1200, height: 120 + 3 * 36 + 24 + 50 + 20 },
+    narratives: { width: 1200, height: 120 + 40 + 3 * 48 + 50 + 20 },
+    dominance: { width: 1200, height: 560 },
+    // The 'none' entry is not a crossover
+    emaCrossovers: { width: 1200, height: 120 + 44 + 2 * 40 + 50 + 20 }
+  });
+});
+
+test('a snapshot with empty sections still gets every chart', t => {
+  const dataDir = tempDataDir(t);
+  const files = writeCharts(dataDir, { date: '2025-10-03', timestamp: '2025-10-03T10:00:00.000Z', globalMetrics: {} }, { width: 800 });
+  assert.equal(files.length, 4);
+  for (const file of files) assert.equal(pngSize(file).width, 800);
+});
+
+test('render-charts --missing only draws snapshots without charts', t => {
+  const dataDir = tempDataDir(t);
+  for (const date of ['2025-09-29', '2025-09-30']) {
+    fs.copyFileSync(path.join(ROOT, 'data', `crypto-data-${date}.json`), path.join(dataDir, `crypto-data-${date}.json`));
+  }
+  const run = (...args) => spawnSync(process.execPath, [SCRIPT, ...args], {
+    cwd: ROOT,
+    env: { ...process.env, MARKET_DATA_DIR: dataDir },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  const first = run('2025-09-29');
+  assert.equal(first.status, 0, first.stderr);
+  const missing = run('--missing');
+  assert.equal(missing.status, 0, missing.stderr);
+  assert.match(missing.stdout, /2025-09-30: 4 charts/);
+  assert.doesNotMatch(missing.stdout, /2025-09-29/);
+  assert.match(missing.stdout, /Rendered charts for 1 snapshot/);
+
+  const invalid = run('--all', '2025-09-29');
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /Usage: render-charts/);
+});
@@ -0,0 +1,35 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { CoinPaprikaProvider } = require('../scripts/providers/coinpaprika');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+const { narratives } = require('../config/narratives.json');
+
+test('every id the default config refers to has a CoinPaprika id', () => {
+  const provider = new CoinPaprikaProvider();
+  const ids = [
+    ...DEFAULT_CONFIG.benchmarks.assets,
+    ...DEFAULT_CONFIG.stablecoins.coins,
+    ...Object.values(narratives).flat()
+  ];
+  assert.deepEqual(ids.filter(id => !provider.idMap[id]), []);
+  assert.equal(new Set(Object.values(provider.idMap)).size, Object.keys(provider.idMap).length);
+  assert.equal(provider.toProviderId('solana'), 'sol-solana');
+  assert.equal(provider.fromProviderId('sol-solana'), 'solana');
+});
+
+test('an unmapped id is passed through with one warning', t => {
+  const warn = mock.method(console, 'warn', () => {});
+  t.after(() => warn.mock.restore());
+  const provider = new CoinPaprikaProvider({ idMap: { 'jupiter-exchange-solana': 'jup-jupiter' } });
+
+  assert.equal(provider.toProviderId('jupiter-exchange-solana'), 'jup-jupiter');
+  assert.equal(provider.toProviderId('some-new-coin'), 'some-new-coin');
+  assert.equal(provider.toProviderId('some-new-coin'), 'some-new-coin');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /some-new-coin/);
+
+  // Ids that came back from the API unmapped are already CoinPaprika ids
+  assert.equal(provider.fromProviderId('xrp-xrp'), 'xrp-xrp');
+  assert.equal(provider.toProviderId('xrp-xrp'), 'xrp-xrp');
+  assert.equal(warn.mock.callCount(), 1);
+});
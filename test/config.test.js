@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, deepMerge, loadConfig } = require('../scripts/lib/config');
+
+function configFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-config-'));
+  const file = path.join(dir, 'market-data.json');
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+test('deepMerge merges objects and replaces arrays and scalars', () => {
+  const base = { a: { b: 1, c: [1, 2] }, d: 'x' };
+  assert.deepEqual(deepMerge(base, { a: { c: [3] }, d: 'y' }), { a: { b: 1, c: [3] }, d: 'y' });
+  assert.deepEqual(deepMerge(base, { a: { e: 2 } }), { a: { b: 1, c: [1, 2], e: 2 }, d: 'x' });
+  assert.equal(deepMerge(base, undefined), base);
+  assert.deepEqual(base, { a: { b: 1, c: [1, 2] }, d: 'x' });
+});
+
+test('loadConfig layers the file, environment and overrides over the defaults', () => {
+  const file = configFile(JSON.stringify({ dataDir: 'from-file', analysis: { historyDays: 30 } }));
+  const config = loadConfig({
+    configPath: file,
+    env: { MARKET_DATA_DIR: 'from-env', MARKET_DATA_CURRENCIES: 'usd,eur', HTTP_CACHE: 'off' },
+    overrides: { analysis: { minBenchmarkPoints: 10 } }
+  });
+  assert.equal(config.dataDir, 'from-env');
+  assert.deepEqual(config.currencies, ['usd', 'eur']);
+  assert.equal(config.httpCache.enabled, false);
+  assert.equal(config.httpCache.dir, DEFAULT_CONFIG.httpCache.dir);
+  assert.equal(config.analysis.historyDays, 30);
+  assert.equal(config.analysis.minBenchmarkPoints, 10);
+  assert.deepEqual(config.analysis.universe, DEFAULT_CONFIG.analysis.universe);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('loadConfig rejects a missing explicit file and invalid JSON', () => {
+  assert.throws(() => loadConfig({ configPath: path.join(os.tmpdir(), 'no-such-market-data.json'), env: {} }), /Config file not found/);
+  const file = configFile('{ not json');
+  assert.throws(() => loadConfig({ configPath: file, env: {} }), /Invalid config file/);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  pearson,
+  correlationMatrix,
+  clusterMatrix,
+  leastCorrelatedPairs,
+  writeCorrelationMatrix,
+  loadCorrelationMatrix,
+  listCorrelationMatrixDates
+} = require('../scripts/lib/correlation-matrix');
+
+const dated = values => new Map(values.map((value, i) => [`2025-01-${String(i + 1).padStart(2, '0')}`, value]));
+
+test('pearson correlates returns on shared dates only', () => {
+  const a = dated([0.01, -0.02, 0.03, 0.01, -0.01]);
+  assert.equal(pearson(a, dated([0.02, -0.04, 0.06, 0.02, -0.02]), 3), 1);
+  assert.equal(pearson(a, dated([-0.01, 0.02, -0.03, -0.01, 0.01]), 3), -1);
+  assert.equal(pearson(a, dated([0.01, 0.01, 0.01, 0.01, 0.01]), 3), null);
+  assert.equal(pearson(a, new Map([...dated([0.02, -0.04]), ['2024-12-31', 0.5]]), 3), null);
+});
+
+test('the matrix is symmetric with ones on the diagonal', () => {
+  const matrix = correlationMatrix([
+    dated([0.01, -0.02, 0.03, 0.01]),
+    dated([0.02, -0.01, 0.02, 0.0]),
+    dated([0.05])
+  ], 3);
+  assert.deepEqual(matrix.map((row, i) => row[i]), [1, 1, 1]);
+  assert.equal(matrix[0][1], matrix[1][0]);
+  assert.ok(matrix[0][1] > 0.5);
+  assert.equal(matrix[0][2], null);
+});
+
+test('clustering groups highly correlated coins and stops at the threshold', () => {
+  // Two blocks: 0-1-2 move together, 3-4 move together, 5 is unrelated; 2-5 share too few days
+  const matrix = [
+    [1, 0.9, 0.85, 0.1, 0.2, 0.0],
+    [0.9, 1, 0.8, 0.1, 0.1, 0.1],
+    [0.85, 0.8, 1, 0.2, 0.1, null],
+    [0.1, 0.1, 0.2, 1, 0.7, 0.1],
+    [0.2, 0.1, 0.1, 0.7, 1, 0.0],
+    [0.0, 0.1, null, 0.1, 0.0, 1]
+  ];
+  assert.deepEqual(clusterMatrix(matrix, 0.6), [
+    { members: [0, 1, 2], averageCorrelation: 0.85 },
+    { members: [3, 4], averageCorrelation: 0.7 }
+  ]);
+  assert.deepEqual(clusterMatrix(matrix, 0.8), [
+    { members: [0, 1, 2], averageCorrelation: 0.85 }
+  ]);
+  assert.deepEqual(clusterMatrix(matrix, 0.95), []);
+  assert.deepEqual(leastCorrelatedPairs(matrix, 2).map(([i, j]) => [i, j]), [[0, 5], [4, 5]]);
+});
+
+test('matrix files round-trip through the data directory', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'correlations-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const doc = { date: '2025-01-05', ids: ['bitcoin', 'ethereum'], matrix: [[1, 0.8], [0.8, 1]] };
+  const filePath = writeCorrelationMatrix(dataDir, doc);
+  assert.equal(fs.readFileSync(filePath, 'utf8').split('\n').length, 5);
+  assert.deepEqual(loadCorrelationMatrix('2025-01-05', dataDir), doc);
+  assert.deepEqual(listCorrelationMatrixDates(dataDir), ['2025-01-05']);
+  assert.equal(loadCorrelationMatrix('2025-01-06', dataDir), null);
+});
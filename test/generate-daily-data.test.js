@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CryptoDataGenerator } = require('../scripts/generate-daily-data');
+const { loadConfig } = require('../scripts/lib/config');
+const { createProvider } = require('../scripts/providers');
+const { validateSnapshot } = require('../scripts/lib/snapshot-schema');
+const { writeProviderFixtures, coinGeckoBackend } = require('./helpers/market-fixtures');
+
+// End-to-end runs of generate-daily-data against synthetic data: through the fixture provider,
+// and through the CoinGecko adapter replaying HTTP fixtures recorded from a local stand-in.
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'generate-daily-data.js');
+
+let tmp;
+let providerDir;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-test-'));
+  providerDir = path.join(tmp, 'provider');
+  writeProviderFixtures(providerDir);
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// Config file for a run writing into `name` under the temp dir; no alerts and no HTTP cache
+function writeConfig(name, overrides) {
+  const configPath = path.join(tmp, `${name}.json`);
+  fs.writeFileSync(configPath, JSON.stringify({
+    dataDir: path.join(tmp, name),
+    httpCache: { enabled: false },
+    alerts: { enabled: false },
+    ...overrides
+  }));
+  return configPath;
+}
+
+function runGenerator(env) {
+  const result = spawnSync(process.execPath, [SCRIPT], {
+    cwd: ROOT,
+    env: { ...process.env, COINGECKO_API_KEY: '', HTTP_FIXTURES_MODE: '', ...env },
+    encoding: 'utf8',
+    timeout: 120000
+  });
+  assert.equal(result.status, 0, `generate-daily-data failed:\n${result.stdout}\n${result.stderr}`);
+}
+
+// Wall-clock fields differ between any two runs; everything else must match
+const TIMESTAMP_FIELDS = new Set(['timestamp', 'generatedAt']);
+
+function withoutTimestamps(value) {
+  if (Array.isArray(value)) return value.map(withoutTimestamps);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !TIMESTAMP_FIELDS.has(key))
+    .map(([key, v]) => [key, withoutTimestamps(v)]));
+}
+
+function readSnapshots(dataDir) {
+  const files = fs.readdirSync(dataDir).filter(f => /^crypto-data-\d{4}-\d{2}-\d{2}\.json$/.test(f));
+  return files.map(f => JSON.parse(fs.readFileSync(path.join(dataDir, f), 'utf8')));
+}
+
+test('writes a valid snapshot and its companion files from the fixture provider', () => {
+  const configPath = writeConfig('fixture-run', { provider: { name: 'fixture', fixtureDir: providerDir } });
+  runGenerator({ MARKET_DATA_CONFIG: configPath });
+
+  const dataDir = path.join(tmp, 'fixture-run');
+  const [snapshot, ...others] = readSnapshots(dataDir);
+  assert.equal(others.length, 0);
+  assert.deepEqual(validateSnapshot(snapshot).errors, []);
+  assert.match(snapshot.metadata.version, /^2\./);
+  assert.ok(snapshot.topGainers24h.length > 0);
+  assert.ok(snapshot.topGainers24h.every(coin => !['tether', 'usd-coin', 'wrapped-bitcoin'].includes(coin.id)));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'latest.json'), 'utf8')), snapshot);
+
+  for (const file of [
+    `markets/${snapshot.date}.json`,
+    `correlations/${snapshot.date}.json`,
+    `reports/${snapshot.date}.md`,
+    `reports/${snapshot.date}.html`
+  ]) {
+    assert.ok(fs.existsSync(path.join(dataDir, file)), `${file} was not written`);
+  }
+  assert.ok(fs.readdirSync(path.join(dataDir, 'charts', snapshot.date)).some(f => f.endsWith('.png')));
+});
+
+test('replays a CoinGecko run from recorded HTTP fixtures', async () => {
+  const fixturesDir = path.join(tmp, 'http');
+  const recordConfig = loadConfig({
+    configPath: writeConfig('recorded', { provider: { name: 'coingecko', apiKey: 'test-key' } }),
+    env: {},
+    overrides: { httpFixtures: { mode: 'record', dir: fixturesDir } }
+  });
+  const provider = createProvider(recordConfig.provider, { httpFixtures: recordConfig.httpFixtures });
+  provider.requestLive = coinGeckoBackend(providerDir);
+  provider.sleep = () => Promise.resolve();
+  const recorded = await new CryptoDataGenerator({ config: recordConfig, provider }).generateDailyData();
+  assert.equal(recorded.success, true, recorded.error);
+
+  // The replay gets no stand-in: every response has to come from the fixtures
+  runGenerator({
+    MARKET_DATA_CONFIG: writeConfig('replayed', { provider: { name: 'coingecko' } }),
+    COINGECKO_API_KEY: 'test-key',
+    HTTP_FIXTURES_MODE: 'replay',
+    HTTP_FIXTURES_DIR: fixturesDir
+  });
+
+  const [original] = readSnapshots(path.join(tmp, 'recorded'));
+  const [replayed] = readSnapshots(path.join(tmp, 'replayed'));
+  assert.deepEqual(validateSnapshot(replayed).errors, []);
+  assert.deepEqual(withoutTimestamps(replayed), withoutTimestamps(original));
+  for (const file of [`markets/${original.date}.json`, `correlations/${original.date}.json`]) {
+    const [recordedFile, replayedFile] = ['recorded', 'replayed']
+      .map(run => JSON.parse(fs.readFileSync(path.join(tmp, run, file), 'utf8')));
+    assert.deepEqual(withoutTimestamps(replayedFile), withoutTimestamps(recordedFile), file);
+  }
+});
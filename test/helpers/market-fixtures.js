@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+// Synthetic market data for offline runs: a provider fixture directory (see
+// scripts/providers/fixture.js) and a CoinGecko REST stand-in serving the same data, so a run can
+// be recorded to HTTP fixtures without the network. Prices are a seeded random walk ending today.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NARRATIVES = require('../../config/narratives.json').narratives;
+
+const CATEGORIES = {
+  stablecoins: ['tether', 'usd-coin'],
+  'wrapped-tokens': ['wrapped-bitcoin'],
+  'bridged-tokens': []
+};
+
+function seededRandom(seed) {
+  let state = seed;
+  return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value));
+}
+
+// Writes markets.json, global.json, global-history.json, history/<id>.json and
+// categories/<id>.json for `coins` coins over `days` daily points. Returns the coin ids.
+function writeProviderFixtures(dir, { coins = 40, days = 300, seed = 7 } = {}) {
+  const random = seededRandom(seed);
+  const ids = [...new Set([
+    'bitcoin', 'ethereum', 'tether', 'usd-coin', 'wrapped-bitcoin', 'solana', 'binancecoin',
+    ...Object.values(NARRATIVES).flatMap(theme => theme.slice(0, 3))
+  ])];
+  while (ids.length < coins) ids.push(`synthetic-${ids.length}`);
+
+  const end = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const markets = [];
+  let globalCaps = null;
+  for (const [i, id] of ids.entries()) {
+    const stable = CATEGORIES.stablecoins.includes(id);
+    const supply = stable ? 1e11 : (1e9 / (i + 1)) * (1 + random());
+    const drift = (random() - 0.5) * 0.004;
+    const volatility = stable ? 0.0005 : 0.02 + random() * 0.05;
+    let price = stable ? 1 : { bitcoin: 60000, ethereum: 3000 }[id] || 1 + random() * 100;
+    const prices = [];
+    const marketCaps = [];
+    const volumes = [];
+    for (let k = days; k >= 0; k--) {
+      const t = end - k * DAY_MS;
+      price = stable ? 1 + (random() - 0.5) * 0.002 : price * Math.exp(drift + volatility * (random() - 0.5) * 2);
+      prices.push([t, price]);
+      marketCaps.push([t, price * supply]);
+      volumes.push([t, price * supply * (0.01 + random() * 0.1)]);
+    }
+    writeJson(path.join(dir, 'history', `${id}.json`), { prices, marketCaps, volumes });
+    globalCaps = marketCaps.map(([t, cap], k) => [t, cap + (globalCaps ? globalCaps[k][1] : 0)]);
+
+    const change = back => ((price - prices[days - back][1]) / prices[days - back][1]) * 100;
+    markets.push({
+      id,
+      symbol: id.replace(/-/g, '').slice(0, 4),
+      name: id.replace(/-/g, ' '),
+      current_price: price,
+      market_cap: price * supply,
+      market_cap_rank: null,
+      total_volume: volumes[days][1],
+      high_24h: price * 1.02,
+      low_24h: price * 0.97,
+      price_change_percentage_24h: change(1),
+      price_change_percentage_24h_in_currency: change(1),
+      price_change_percentage_7d_in_currency: change(7),
+      circulating_supply: supply,
+      total_supply: supply,
+      max_supply: null,
+      ath: price * 1.5,
+      ath_change_percentage: -33.3,
+      last_updated: new Date(end).toISOString()
+    });
+  }
+  markets.sort((a, b) => b.market_cap - a.market_cap).forEach((coin, i) => { coin.market_cap_rank = i + 1; });
+  writeJson(path.join(dir, 'markets.json'), markets);
+
+  const totalMarketCap = globalCaps[days][1] * 1.1;
+  const capOf = id => markets.find(coin => coin.id === id).market_cap;
+  writeJson(path.join(dir, 'global.json'), {
+    totalMarketCap,
+    totalVolume: totalMarketCap * 0.03,
+    btcDominance: (capOf('bitcoin') / totalMarketCap) * 100,
+    ethDominance: (capOf('ethereum') / totalMarketCap) * 100,
+    activeCryptocurrencies: 17000,
+    marketCapChange24h: -0.8
+  });
+  writeJson(path.join(dir, 'global-history.json'), {
+    marketCaps: globalCaps.map(([t, cap]) => [t, cap * 1.1]),
+    volumes: globalCaps.map(([t, cap]) => [t, cap * 0.033])
+  });
+  for (const [category, members] of Object.entries(CATEGORIES)) {
+    writeJson(path.join(dir, 'categories', `${category}.json`), members);
+  }
+  return ids;
+}
+
+// A request function for HttpProvider#requestLive that answers CoinGecko /api/v3 URLs from a
+// provider fixture directory
+function coinGeckoBackend(dir) {
+  const read = (...segments) => JSON.parse(fs.readFileSync(path.join(dir, ...segments), 'utf8'));
+  const markets = read('markets.json');
+  const history = id => (fs.existsSync(path.join(dir, 'history', `${id}.json`)) ? read('history', `${id}.json`) : null);
+  const notFound = () => Object.assign(new Error('HTTP 404: {"error":"coin not found"}'), { statusCode: 404 });
+  const chart = (h, keep) => ({
+    prices: h.prices.filter(keep),
+    market_caps: h.marketCaps.filter(keep),
+    total_volumes: h.volumes.filter(keep)
+  });
+
+  function respond(url) {
+    const { pathname, searchParams } = new URL(url);
+    const endpoint = pathname.replace(/^\/api\/v3/, '');
+    const query = Object.fromEntries(searchParams);
+    const lastDays = days => (point, i, series) => i >= series.length - (Number(days) + 1);
+
+    if (endpoint === '/coins/markets') {
+      let list = markets;
+      if (query.category) {
+        const members = fs.existsSync(path.join(dir, 'categories', `${query.category}.json`))
+          ? read('categories', `${query.category}.json`)
+          : [];
+        list = list.filter(coin => members.includes(coin.id));
+      }
+      if (query.ids) list = list.filter(coin => query.ids.split(',').includes(coin.id));
+      const perPage = Number(query.per_page) || 100;
+      const page = Number(query.page) || 1;
+      return list.slice((page - 1) * perPage, page * perPage);
+    }
+    if (endpoint === '/global') {
+      const global = read('global.json');
+      return {
+        data: {
+          total_market_cap: { usd: global.totalMarketCap },
+          total_volume: { usd: global.totalVolume },
+          market_cap_percentage: { btc: global.btcDominance, eth: global.ethDominance },
+          active_cryptocurrencies: global.activeCryptocurrencies,
+          market_cap_change_percentage_24h_usd: global.marketCapChange24h
+        }
+      };
+    }
+    if (endpoint === '/coins/list') return markets.map(({ id, symbol, name }) => ({ id, symbol, name }));
+    if (endpoint === '/global/market_cap_chart') {
+      const global = read('global-history.json');
+      const keep = lastDays(query.days);
+      return { market_cap_chart: { market_cap: global.marketCaps.filter(keep), volume: global.volumes.filter(keep) } };
+    }
+
+    let match = /^\/coins\/([^/]+)\/market_chart$/.exec(endpoint);
+    if (match) {
+      const h = history(match[1]);
+      if (!h) throw notFound();
+      return chart(h, lastDays(query.days));
+    }
+    match = /^\/coins\/([^/]+)\/market_chart\/range$/.exec(endpoint);
+    if (match) {
+      const h = history(match[1]);
+      if (!h) throw notFound();
+      return chart(h, ([t]) => t >= query.from * 1000 && t <= query.to * 1000);
+    }
+    match = /^\/coins\/([^/]+)$/.exec(endpoint);
+    if (match) {
+      const coin = markets.find(c => c.id === match[1]);
+      if (!coin) throw notFound();
+      return {
+        id: coin.id,
+        symbol: coin.symbol,
+        name: coin.name,
+        market_data: {
+          current_price: { usd: coin.current_price },
+          price_change_percentage_24h: coin.price_change_percentage_24h,
+          market_cap: { usd: coin.market_cap },
+          total_volume: { usd: coin.total_volume }
+        }
+      };
+    }
+    throw Object.assign(new Error(`HTTP 404: no route for ${endpoint}`), { statusCode: 404 });
+  }
+
+  return url => new Promise(resolve => resolve(respond(url)));
+}
+
+module.exports = { writeProviderFixtures, coinGeckoBackend };
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HttpDiskCache } = require('../scripts/lib/http-cache');
+
+function tempCache(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new HttpDiskCache({ dir, namespace: 'coingecko', ttls: { '/global': '5m' } });
+}
+
+test('prune removes expired entries and stale temp files, and keeps recent temp files', t => {
+  const cache = tempCache(t);
+  const now = Date.now();
+  cache.set('/global', 'https://api.example/global', { fresh: true }, now);
+  cache.set('/global', 'https://api.example/global?old=1', { fresh: false }, now - 60 * 60 * 1000);
+
+  const entryPath = cache.entryPath('https://api.example/global');
+  const staleTmp = `${entryPath}.1234.tmp`;
+  const recentTmp = `${entryPath}.5678.tmp`;
+  fs.writeFileSync(staleTmp, '{"half":');
+  fs.writeFileSync(recentTmp, '{"half":');
+  const anHourAgo = new Date(now - 60 * 60 * 1000);
+  fs.utimesSync(staleTmp, anHourAgo, anHourAgo);
+
+  const removed = cache.prune({ now }).map(entry => path.basename(entry.filePath)).sort();
+  assert.deepEqual(removed, [
+    path.basename(cache.entryPath('https://api.example/global?old=1')),
+    path.basename(staleTmp)
+  ].sort());
+  assert.deepEqual(cache.get('/global', 'https://api.example/global', now).body, { fresh: true });
+  assert.ok(fs.existsSync(recentTmp));
+
+  cache.prune({ all: true, now });
+  assert.deepEqual(fs.readdirSync(cache.namespaceDir), [path.basename(recentTmp)]);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateSMACross,
+  requiredHistoryDays
+} = require('../scripts/lib/indicators');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('calculateSMA is null until the window is full', () => {
+  assert.deepEqual(calculateSMA([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('calculateEMA is seeded with the SMA and smooths by 2 / (period + 1)', () => {
+  const ema = calculateEMA([2, 4, 6, 8, 10], 3);
+  assert.deepEqual(ema.slice(0, 3), [null, null, 4]);
+  close(ema[3], 8 * 0.5 + 4 * 0.5);
+  close(ema[4], 10 * 0.5 + 6 * 0.5);
+});
+
+test('calculateRSI is 100 without losses, 50 on a flat series and null without enough closes', () => {
+  const rising = Array.from({ length: 20 }, (_, i) => 100 + i);
+  assert.equal(calculateRSI(rising, 14), 100);
+  assert.equal(calculateRSI(Array(20).fill(5), 14), 50);
+  assert.equal(calculateRSI(rising.slice(0, 14), 14), null);
+});
+
+test('calculateSMACross reports a recent golden cross', () => {
+  const closes = [...Array(10).fill(10), 9, 8, 7, 6, 12, 14];
+  const cross = calculateSMACross(closes, { fast: 2, slow: 5 }, 3);
+  assert.equal(cross.crossover, 'golden');
+});
+
+test('requiredHistoryDays covers the slowest enabled indicator', () => {
+  const config = DEFAULT_CONFIG.technicalIndicators;
+  assert.equal(requiredHistoryDays(config), config.smaCross.slow + config.lookbackBars);
+  const withoutSmaCross = { ...config, smaCross: { ...config.smaCross, enabled: false } };
+  assert.equal(requiredHistoryDays(withoutSmaCross), config.macd.slow + config.macd.signal + config.lookbackBars);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyNarrativeIndex, narrativeReturns } = require('../scripts/lib/narrative-index');
+
+function narrative(memberCaps, change24h) {
+  const coins = Object.values(memberCaps).map(marketCap => ({ marketCap, change24h, change7d: change24h }));
+  return { marketCap: Object.values(memberCaps).reduce((a, b) => a + b, 0), memberCaps, returns: narrativeReturns(coins) };
+}
+
+const previous = date => ({
+  date,
+  levels: { AI: { baseDate: '2025-01-01', previousDate: null, equalWeighted: 100, capWeighted: 100, memberCaps: { a: 100, b: 300 } } }
+});
+
+test('consecutive days chain both levels by the 24h return', () => {
+  const { AI, L1 } = applyNarrativeIndex({ AI: narrative({ a: 110, b: 330 }, 10), L1: narrative({ c: 5 }, 3) }, previous('2025-01-01'), '2025-01-02');
+  assert.deepEqual(AI.index, { baseDate: '2025-01-01', previousDate: '2025-01-01', equalWeighted: 110, capWeighted: 110 });
+  assert.deepEqual(L1.index, { baseDate: '2025-01-02', previousDate: null, equalWeighted: 100, capWeighted: 100 });
+});
+
+test('across missing days only members present on both days move the cap-weighted level', () => {
+  // b left the theme and c joined; a doubled over the gap
+  const { AI } = applyNarrativeIndex({ AI: narrative({ a: 200, c: 5000 }, 1) }, previous('2025-01-01'), '2025-01-05');
+  assert.deepEqual(AI.index, { baseDate: '2025-01-01', previousDate: '2025-01-01', equalWeighted: 100, capWeighted: 200, gapDays: 3 });
+});
+
+test('across missing days with no shared members the cap-weighted level is held', () => {
+  const { AI } = applyNarrativeIndex({ AI: narrative({ c: 5000 }, 1) }, previous('2025-01-01'), '2025-01-03');
+  assert.equal(AI.index.capWeighted, 100);
+  assert.equal(AI.index.gapDays, 1);
+});
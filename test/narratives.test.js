@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CHANGELOG_FILE, recordNarrativeChanges } = require('../scripts/lib/narratives');
+
+test('the changelog records membership changes and version-only bumps', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'narratives-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const readLog = () => JSON.parse(fs.readFileSync(path.join(dataDir, CHANGELOG_FILE), 'utf8'));
+
+  recordNarrativeChanges(dataDir, { version: 1, narratives: { AI: ['fetch-ai'] } }, '2025-01-01');
+  assert.deepEqual(readLog().changes, [
+    { date: '2025-01-01', version: 1, theme: 'AI', added: ['fetch-ai'], removed: [], baseline: true }
+  ]);
+
+  assert.deepEqual(recordNarrativeChanges(dataDir, { version: 1, narratives: { AI: ['fetch-ai'] } }, '2025-01-02'), []);
+
+  const bump = recordNarrativeChanges(dataDir, { version: 2, narratives: { AI: ['fetch-ai'] } }, '2025-01-03');
+  assert.deepEqual(bump, [{ theme: null, added: [], removed: [], previousVersion: 1 }]);
+
+  recordNarrativeChanges(dataDir, { version: 3, narratives: { AI: ['the-graph'] } }, '2025-01-04');
+  const { current, changes } = readLog();
+  assert.deepEqual(changes.slice(1), [
+    { date: '2025-01-03', version: 2, theme: null, added: [], removed: [], previousVersion: 1 },
+    { date: '2025-01-04', version: 3, theme: 'AI', added: ['the-graph'], removed: ['fetch-ai'] }
+  ]);
+  assert.deepEqual(current, { version: 3, narratives: { AI: ['the-graph'] } });
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { notifyAll } = require('../scripts/lib/notifiers');
+
+// Local webhook receiver: records every request, and answers 500 on /fail
+let server;
+let baseUrl;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(req.url === '/fail' ? 500 : 200);
+      res.end(req.url === '/fail' ? 'boom' : 'ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const payload = {
+  date: '2025-10-02',
+  timestamp: '2025-10-02T10:00:00.000Z',
+  alerts: [
+    { rule: 'btc-capitulation', severity: 'critical', message: 'BTC trend: strong_bear (was bearish)' },
+    { rule: 'big-gainer', severity: 'info', message: 'Big gainer: PEPE +31.2%' }
+  ]
+};
+
+function receivedAt(url) {
+  const request = received.find(r => r.url === url);
+  assert.ok(request, `nothing was posted to ${url}`);
+  return request;
+}
+
+test('webhook, slack and discord notifiers post their payloads', async () => {
+  const env = { ALERT_TOKEN: 'secret', HOOK_PORT: String(server.address().port) };
+  const results = await notifyAll([
+    { type: 'webhook', url: `${baseUrl}/webhook`, headers: { Authorization: 'Bearer ${ALERT_TOKEN}' } },
+    { type: 'slack', url: 'http://127.0.0.1:${HOOK_PORT}/slack' },
+    { type: 'discord', url: `${baseUrl}/discord` }
+  ], payload, { env });
+  assert.deepEqual(results, [
+    { type: 'webhook', ok: true, error: null },
+    { type: 'slack', ok: true, error: null },
+    { type: 'discord', ok: true, error: null }
+  ]);
+
+  const webhook = receivedAt('/webhook');
+  assert.deepEqual(webhook.body, payload);
+  assert.equal(webhook.headers.authorization, 'Bearer secret');
+  assert.equal(webhook.headers['content-type'], 'application/json');
+
+  assert.deepEqual(receivedAt('/slack').body, {
+    text: '*Market alerts for 2025-10-02* (2)\n🚨 BTC trend: strong_bear (was bearish)\nℹ️ Big gainer: PEPE +31.2%'
+  });
+  assert.deepEqual(receivedAt('/discord').body, {
+    content: '**Market alerts for 2025-10-02** (2)\n🚨 BTC trend: strong_bear (was bearish)\nℹ️ Big gainer: PEPE +31.2%'
+  });
+});
+
+test('discord messages are cut to 2000 characters', async () => {
+  const alerts = Array.from({ length: 100 }, (_, i) => ({ rule: 'r', severity: 'info', message: `alert ${i} `.repeat(5) }));
+  await notifyAll([{ type: 'discord', url: `${baseUrl}/discord-long` }], { ...payload, alerts }, { env: {} });
+  const { content } = receivedAt('/discord-long').body;
+  assert.equal(content.length, 2000);
+  assert.ok(content.endsWith('…'));
+});
+
+test('a missing environment variable or a failing endpoint fails only that notifier', async () => {
+  const sentBefore = received.length;
+  const results = await notifyAll([
+    { type: 'slack', url: '${SLACK_WEBHOOK_URL}' },
+    { type: 'webhook', url: `${baseUrl}/fail` },
+    { type: 'webhook', url: `${baseUrl}/after-failures` }
+  ], payload, { env: {} });
+  assert.deepEqual(results, [
+    { type: 'slack', ok: false, error: 'environment variable SLACK_WEBHOOK_URL is not set' },
+    { type: 'webhook', ok: false, error: 'HTTP 500: boom' },
+    { type: 'webhook', ok: true, error: null }
+  ]);
+  assert.deepEqual(received.slice(sentBefore).map(r => r.url), ['/fail', '/after-failures']);
+});
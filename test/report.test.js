@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildReport, toMarkdown, toHtml, writeReport } = require('../scripts/lib/report');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'build-report.js');
+
+const coin = (name, symbol, change) => ({
+  id: name.toLowerCase(), symbol, name, current_price: 1.5, price_change_percentage_24h: change, market_cap: 2.5e9, total_volume: 3e8
+});
+
+const snapshot = {
+  date: '2025-10-02',
+  timestamp: '2025-10-02T10:05:00.000Z',
+  globalMetrics: {
+    totalMarketCap: 3.9e12, marketCapChange24h: -1.25, volume24h: 1.2e11,
+    btcDominance: 57.3, ethDominance: 12.1, total3MarketCap: 1.1e12, activeCryptocurrencies: 17123
+  },
+  btcData: { currentPrice: 116515, priceChange24h: -2.5, priceChange7d: 1, trend: 'strong_bear', athDistance: -6.2, ath: 124000, realizedVolatility: 41.26 },
+  topGainers24h: [coin('Pepe', 'pepe', 31.2), coin('Bonk', 'bonk', 12)],
+  topLosers24h: [coin('Sui', 'sui', -9.1)],
+  topGainers7d: [],
+  moverFilters: { screened: 500, eligible: 412 },
+  narrativeData: {
+    AI: { change24h: 4.2, change7d: -1, marketCap: 3e10, coinCount: 10, topPerformers: [{ id: 'fetch-ai', symbol: 'FET', change24h: 8 }] },
+    'Meme | Dog <coins>': { change24h: -3, change7d: 20, marketCap: 8e10, coinCount: 7 }
+  },
+  changes: {
+    previousDate: '2025-10-01',
+    dominance: { btc: { change: 0.4 }, eth: { change: -0.25 } },
+    narratives: { leaders: { change24h: { previous: 'L1', current: 'AI', changed: true } } },
+    newEmaSignals: [{ id: 'solana' }]
+  },
+  marketCapRanking: ['bitcoin', 'solana'],
+  emaCrossovers: [
+    { id: 'solana', symbol: 'sol', name: 'Solana', pair: '20/50', signal: 'bullish', daysAgo: 1, spreadPercent: 1.2, priceChange24h: 3 },
+    { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', ema20: 1, ema50: 2, signal: 'bearish', daysAgo: 3, priceChange24h: -2.5 },
+    { id: 'tether', symbol: 'usdt', signal: 'none' }
+  ],
+  correlationAnalysis: { benchmark: { skipped: 'only 12 daily returns (need 30)' } }
+};
+
+test('the Markdown report narrates each section', () => {
+  const markdown = toMarkdown(buildReport(snapshot));
+  for (const text of [
+    '# Crypto market report: 2025-10-02',
+    '_Data as of 2025-10-02 10:05 UTC_',
+    'The total crypto market cap is $3.90T, down 1.25% over 24 hours, with $120.00B traded.',
+    'Bitcoin dominance is 57.30% (+0.40 pts since 2025-10-01); Ethereum dominance is 12.10% (-0.25 pts since 2025-10-01).',
+    'Bitcoin is selling off sharply at $116,515 (-2.50% over 24 hours, +1.00% over 7 days). It is 6.2% below its all-time high of $124,000. Annualized realized volatility is 41.3%.',
+    'PEPE led the day\'s gainers at +31.20%, while SUI fell the most at -9.10%.',
+    '412 of the 500 largest coins passed the liquidity screens and were ranked.',
+    'AI led the narratives over 24 hours (+4.20%), and Meme | Dog <coins> trailed (-3.00%).',
+    'AI took the 24h lead from L1.',
+    '2 recent EMA crossovers: 1 bullish and 1 bearish. 1 of them are new since 2025-10-01.',
+    '| Solana (SOL) | 20/50 | bullish | 1d ago | +1.20% | +3.00% |',
+    '| Bitcoin (BTC) | 20/50 | bearish | 3d ago | n/a | -2.50% |',
+    '| Meme \\| Dog <coins> | -3.00% | +20.00% | $80.00B | 7 |  |',
+    'Correlations were skipped: only 12 daily returns (need 30).'
+  ]) {
+    assert.ok(markdown.includes(text), `missing: ${text}`);
+  }
+  // Ethereum isn't in this snapshot, and the empty 7d table is left out
+  assert.doesNotMatch(markdown, /Ethereum is/);
+  assert.doesNotMatch(markdown, /Top gainers \(7d\)/);
+});
+
+test('the HTML report escapes text and colours changes', () => {
+  const html = toHtml(buildReport(snapshot));
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.match(html, /<td>Meme \| Dog &lt;coins&gt;<\/td><td class="right down">-3.00%<\/td><td class="right up">\+20.00%<\/td>/);
+  assert.match(html, /<td class="up">bullish<\/td>/);
+  assert.doesNotMatch(html, /<coins>|<script|<link/);
+});
+
+test('snapshots missing sections say so instead of failing', () => {
+  const markdown = toMarkdown(buildReport({ date: '2025-01-01', timestamp: '2025-01-01T10:00:00.000Z', globalMetrics: {} }));
+  assert.match(markdown, /## Bitcoin and Ethereum\n\nNot recorded in this snapshot\./);
+  assert.match(markdown, /## Narratives\n\nNot recorded in this snapshot\./);
+  assert.match(markdown, /## EMA signals\n\nNot recorded in this snapshot\./);
+  assert.match(markdown, /The total crypto market cap is n\/a\./);
+});
+
+test('writeReport and build-report write each format', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  assert.deepEqual(writeReport(dataDir, snapshot, { formats: ['markdown'] }), [path.join(dataDir, 'reports', '2025-10-02.md')]);
+
+  fs.copyFileSync(path.join(ROOT, 'data', 'crypto-data-2025-09-30.json'), path.join(dataDir, 'crypto-data-2025-09-30.json'));
+  const run = (...args) => spawnSync(process.execPath, [SCRIPT, ...args], {
+    cwd: ROOT,
+    env: { ...process.env, MARKET_DATA_DIR: dataDir },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  const built = run('--missing', '--format', 'html');
+  assert.equal(built.status, 0, built.stderr);
+  assert.ok(fs.existsSync(path.join(dataDir, 'reports', '2025-09-30.html')));
+  assert.ok(!fs.existsSync(path.join(dataDir, 'reports', '2025-09-30.md')));
+
+  const invalid = run('--format', 'pdf');
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /Usage: build-report/);
+});
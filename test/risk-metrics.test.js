@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { CryptoDataGenerator } = require('../scripts/generate-daily-data');
+const { loadConfig } = require('../scripts/lib/config');
+const { computeRiskMetrics, rankRiskMetrics } = require('../scripts/lib/risk-metrics');
+
+// Daily closes starting at 100 that produce exactly these returns
+function closesFrom(returns) {
+  const closes = [100];
+  for (const r of returns) closes.push(closes.at(-1) * (1 + r));
+  return closes;
+}
+
+test('VaR is the 5th-percentile daily return and CVaR the average of the tail', () => {
+  // -5.0%, -4.9%, ... +4.9%, shuffled so the order doesn't matter
+  const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 1000).sort((a, b) => Math.sin(a * 1e4) - Math.sin(b * 1e4));
+  const metrics = computeRiskMetrics(closesFrom(returns));
+  assert.equal(metrics.days, 100);
+  assert.equal(metrics.var95, -4.6);
+  assert.equal(metrics.cvar95, -4.8);
+});
+
+test('with few returns VaR falls back to the worst day', () => {
+  const returns = [0.01, -0.03, 0.02, -0.01, ...Array(26).fill(0.005)];
+  const metrics = computeRiskMetrics(closesFrom(returns));
+  assert.equal(metrics.var95, -3);
+  assert.equal(metrics.cvar95, -3);
+});
+
+test('drawdown, days since the high and the minimum history', () => {
+  const metrics = computeRiskMetrics([100, 120, 60, 90], { minDays: 3 });
+  assert.equal(metrics.maxDrawdown, -50);
+  assert.equal(metrics.daysSinceHigh, 2);
+  assert.equal(computeRiskMetrics([100, 120, 60, 90]), null);
+});
+
+test('a flat price has no Sharpe or Sortino ratio', () => {
+  const metrics = computeRiskMetrics(Array(40).fill(100));
+  assert.equal(metrics.volatility, 0);
+  assert.equal(metrics.sharpe, null);
+  assert.equal(metrics.sortino, null);
+});
+
+test('rankings order each field and skip missing values', () => {
+  const rankings = rankRiskMetrics([
+    { id: 'a', symbol: 'A', volatility: 50, var95: -6, sharpe: null },
+    { id: 'b', symbol: 'B', volatility: 20, var95: -2, sharpe: 1.5 },
+    { id: 'c', symbol: 'C', volatility: 80, var95: -9, sharpe: 0.4 }
+  ], 2);
+  assert.deepEqual(rankings.lowestVolatility, [{ id: 'b', symbol: 'B', value: 20 }, { id: 'a', symbol: 'A', value: 50 }]);
+  assert.deepEqual(rankings.worstVar95.map(e => e.id), ['c', 'a']);
+  assert.deepEqual(rankings.bestSharpe.map(e => e.id), ['b', 'c']);
+});
+
+test('coins of excluded categories keep their metrics but stay out of the rankings', () => {
+  // Nothing is fetched; the fixture provider only needs a directory
+  const config = loadConfig({ env: {}, overrides: { provider: { name: 'fixture', fixtureDir: os.tmpdir() }, alerts: { enabled: false } } });
+  const generator = new CryptoDataGenerator({ config });
+  const returns = {
+    tether: Array(40).fill(0),
+    bitcoin: Array.from({ length: 40 }, (_, i) => (i % 2 ? 0.02 : -0.01)),
+    pepe: Array.from({ length: 40 }, (_, i) => (i % 2 ? 0.2 : -0.15))
+  };
+  const topCoins = Object.keys(returns).map(id => ({ id, symbol: id, name: id, market_cap: 1 }));
+  const section = generator.analyzeRiskMetrics(topCoins, { categories: ['stablecoins'], coins: new Set(['tether']) },
+    coin => closesFrom(returns[coin.id]));
+
+  assert.deepEqual(section.coins.map(c => c.id), ['tether', 'bitcoin', 'pepe']);
+  assert.deepEqual(section.excludedCategories, ['stablecoins']);
+  assert.deepEqual(section.rankings.lowestVolatility.map(e => e.id), ['bitcoin', 'pepe']);
+  assert.deepEqual(section.rankings.worstVar95.map(e => e.id), ['pepe', 'bitcoin']);
+});
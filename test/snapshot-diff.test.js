@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffSnapshots } = require('../scripts/lib/snapshot-diff');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'diff-snapshots.js');
+
+const coin = (id, change24h = 0) => ({ id, symbol: id.slice(0, 3), change24h });
+
+const previous = {
+  date: '2025-10-01',
+  marketCapRanking: ['bitcoin', 'ethereum', 'tether', 'solana', 'dogecoin', 'pepe'],
+  topGainers24h: [coin('pepe'), coin('dogecoin')],
+  topLosers24h: [],
+  topGainers7d: [],
+  // An entry from before EMA pairs were configurable
+  emaCrossovers: [{ id: 'solana', symbol: 'sol', ema20: 1, ema50: 2, signal: 'bullish', daysAgo: 1 }],
+  narrativeData: { AI: { change24h: 3, change7d: 1 }, Meme: { change24h: 1, change7d: 5 } },
+  globalMetrics: { btcDominance: 57.344, ethDominance: 12.004 }
+};
+
+const current = {
+  date: '2025-10-02',
+  marketCapRanking: ['bitcoin', 'ethereum', 'pepe', 'tether', 'solana', 'bonk'],
+  topGainers24h: [coin('pepe'), coin('bonk')],
+  topLosers24h: [coin('dogecoin')],
+  topGainers7d: [],
+  emaCrossovers: [
+    { id: 'solana', symbol: 'sol', pair: '20/50', signal: 'bullish', daysAgo: 2, crossoverDate: '2025-09-30' },
+    { id: 'pepe', symbol: 'pepe', pair: '20/50', signal: 'bearish', daysAgo: 0, crossoverDate: '2025-10-02' },
+    { id: 'tether', symbol: 'usdt', pair: '20/50', signal: 'none', daysAgo: null }
+  ],
+  narrativeData: { AI: { change24h: 2, change7d: 1 }, Meme: { change24h: 4, change7d: 6 }, L1: { change24h: -1, change7d: 0 } },
+  globalMetrics: { btcDominance: 57.346, ethDominance: 11.996 }
+};
+
+test('diffs the ranking, mover lists, EMA signals and narrative leaders', () => {
+  const changes = diffSnapshots(previous, current, { minRankMove: 2, maxRankMoves: 5 });
+  assert.equal(changes.previousDate, '2025-10-01');
+  assert.deepEqual(changes.universe, {
+    entered: [{ id: 'bonk', rank: 6 }],
+    left: [{ id: 'dogecoin', previousRank: 5 }]
+  });
+  assert.deepEqual(changes.rankMoves, [{ id: 'pepe', previousRank: 6, rank: 3, change: 3 }]);
+  assert.deepEqual(changes.lists.topGainers24h, { entered: [{ id: 'bonk', symbol: 'BON' }], left: [{ id: 'dogecoin', symbol: 'DOG' }] });
+  assert.deepEqual(changes.lists.topLosers24h, { entered: [{ id: 'dogecoin', symbol: 'DOG' }], left: [] });
+  assert.deepEqual(changes.newEmaSignals, [
+    { id: 'pepe', symbol: 'PEPE', pair: '20/50', signal: 'bearish', daysAgo: 0, crossoverDate: '2025-10-02' }
+  ]);
+  assert.deepEqual(changes.narratives.leaders, {
+    change24h: { previous: 'AI', current: 'Meme', changed: true },
+    change7d: { previous: 'Meme', current: 'Meme', changed: false }
+  });
+  assert.deepEqual(changes.narratives.rankChanges, [
+    { theme: 'Meme', previousRank: 2, rank: 1 },
+    { theme: 'AI', previousRank: 1, rank: 2 },
+    { theme: 'L1', previousRank: null, rank: 3 }
+  ]);
+});
+
+test('dominance changes are taken between the rounded values', () => {
+  const { dominance } = diffSnapshots(previous, current);
+  assert.deepEqual(dominance.btc, { previous: 57.34, current: 57.35, change: 0.01 });
+  assert.deepEqual(dominance.eth, { previous: 12, current: 12, change: 0 });
+});
+
+test('snapshots without a market cap ranking have no universe changes', () => {
+  const { marketCapRanking, ...legacy } = previous;
+  const changes = diffSnapshots(legacy, current);
+  assert.equal(changes.universe, null);
+  assert.equal(changes.rankMoves, null);
+});
+
+test('the CLI rejects a --min-rank-move that is not a whole number', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = [previous, current].map(snapshot => {
+    const file = path.join(dir, `${snapshot.date}.json`);
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+    return file;
+  });
+  const run = (...args) => spawnSync(process.execPath, [SCRIPT, ...files, ...args], {
+    env: { ...process.env, MARKET_DATA_DIR: dir },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  const rejected = run('--min-rank-move=2.5');
+  assert.equal(rejected.status, 1);
+  assert.match(rejected.stderr, /Usage: diff-snapshots/);
+
+  const accepted = run('--min-rank-move', '1', '--json');
+  assert.equal(accepted.status, 0, accepted.stderr);
+  assert.equal(JSON.parse(accepted.stdout).rankMoves.length, 3);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateSnapshot, SnapshotValidationError } = require('../scripts/lib/snapshot-schema');
+
+const latest = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'latest.json'), 'utf8'));
+
+test('the committed latest.json matches the snapshot schema', () => {
+  assert.deepEqual(validateSnapshot(latest()), { valid: true, errors: [] });
+});
+
+test('validateSnapshot reports missing fields, wrong types and unknown keys by path', () => {
+  const snapshot = latest();
+  delete snapshot.metadata;
+  snapshot.globalMetrics.btcDominance = 'high';
+  snapshot.unexpected = true;
+  const { valid, errors } = validateSnapshot(snapshot);
+  assert.equal(valid, false);
+  assert.ok(errors.includes("$: must have required property 'metadata'"), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.globalMetrics.btcDominance:')), errors.join('\n'));
+  assert.ok(errors.includes('$: must NOT have additional properties (unexpected)'), errors.join('\n'));
+});
+
+test('SnapshotValidationError lists every error', () => {
+  const error = new SnapshotValidationError('2025-10-01', ['$.a: bad', '$.b: bad']);
+  assert.equal(error.name, 'SnapshotValidationError');
+  assert.deepEqual(error.errors, ['$.a: bad', '$.b: bad']);
+  assert.match(error.message, /^Snapshot 2025-10-01 does not match daily-snapshot\.schema\.json/);
+});
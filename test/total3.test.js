@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { total3FromArchive } = require('../scripts/lib/total3');
+
+test('the archive series dates the current run by the injected clock', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'total3-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  for (const [date, total3MarketCap] of [['2025-03-01', 100], ['2025-03-02', 110]]) {
+    fs.writeFileSync(path.join(dataDir, `crypto-data-${date}.json`), JSON.stringify({
+      date,
+      timestamp: `${date}T14:00:00.000Z`,
+      globalMetrics: { totalMarketCap: 400, total3MarketCap }
+    }));
+  }
+
+  const current = { totalMarketCap: 500, btcDominance: 60, ethDominance: 15 };
+  assert.deepEqual(total3FromArchive(dataDir, '2025-03-03', 30, current, Date.parse('2025-03-03T14:00:00Z')), [
+    { date: '2025-03-01', value: 100 },
+    { date: '2025-03-02', value: 110 },
+    { date: '2025-03-03', value: 125 }
+  ]);
+});